@@ -1,4 +1,4 @@
-const CACHE_VERSION = 'v40';
+const CACHE_VERSION = 'v60';
 const STATIC_CACHE = `situation-static-${CACHE_VERSION}`;
 
 const SCOPE = self.registration?.scope || self.location.origin + '/';
@@ -13,16 +13,42 @@ const ASSETS = [
 	'src/globe/Starfield.js',
 	'src/globe/CameraController.js',
 	'src/globe/latLong.js',
+	'src/globe/FeaturePicker.js',
+	'src/globe/DayNight.js',
+	'src/globe/solar.js',
+	'src/globe/greatCircle.js',
+	'src/globe/horizon.js',
+	'src/globe/LabelPlacer.js',
+	'src/globe/LabelAtlas.js',
+	'src/globe/MarkerBatch.js',
+	'src/globe/pointClusters.js',
+	'src/globe/ArcBatch.js',
+	'src/globe/sphereTriangulation.js',
 	'src/layers/LayerManager.js',
 	'src/layers/BaseLayer.js',
+	'src/layers/ArcLayer.js',
 	'src/layers/BoundaryLayer.js',
+	'src/layers/layerStyles.js',
 	'src/layers/FilteredBoundaryLayer.js',
+	'src/layers/GraticuleLayer.js',
+	'src/layers/HeatmapLayer.js',
 	'src/layers/NaturalEarthPointsZipLayer.js',
 	'src/layers/NaturalEarthPopulatedPlacesLayer.js',
 	'src/layers/NelcBinDemoLayer.js',
 	'src/layers/SelectionHighlight.js',
 	'src/ui/LayersPanel.js',
 	'src/ui/BinPanel.js',
+	'src/ui/FeatureNavigator.js',
+	'src/ui/FeatureTooltip.js',
+	'src/ui/DetailsPanel.js',
+	'src/lib/geo.js',
+	'src/lib/style.js',
+	'src/lib/settings.js',
+	'src/lib/deepLink.js',
+	'src/workers/GeometryWorkerClient.js',
+	'src/workers/geometry.worker.js',
+	'src/workers/geometryTasks.js',
+	'src/workers/simplify.js',
 	'src/bin/nelcAdapter.js',
 	'src/data/uk-boundaries.json',
 	'src/data/uk-populated-places.v1.json',
@@ -32,6 +58,7 @@ const ASSETS = [
 	'icons/paper-airplane.svg',
 	'icons/lifebuoy.svg',
 	'src/data/world-countries.json',
+	'src/data/airports.json',
 	'src/data/uk-regions.json',
 	'src/data/english-regions.json',
 	'src/data/uk-lads.v1.topo.json',
@@ -0,0 +1,186 @@
+/**
+ * ArcBatch
+ *
+ * Polylines (e.g. elevated great-circle arcs) drawn as screen-space ribbons in
+ * one mesh, with a colour, width in pixels and opacity per line. Each point is
+ * emitted twice and pushed apart along the on-screen normal in the vertex
+ * shader (as MarkerBatch sizes its quads), so widths hold at any zoom.
+ *
+ * Optional dashes are measured along each line in world units; advancing the
+ * offset with setTime() makes them flow from the first point to the last.
+ */
+
+import * as THREE from 'three';
+
+const vertexShader = `
+uniform vec2 viewport;
+
+attribute vec3 arcPrev;
+attribute vec3 arcNext;
+attribute float arcSide;
+attribute float arcDistance;
+attribute vec3 arcColor;
+attribute float arcWidth;
+attribute float arcOpacity;
+
+varying vec3 vColor;
+varying float vOpacity;
+varying float vDistance;
+varying float vSide;
+
+vec2 toScreen( vec4 clip ) {
+  return clip.xy / clip.w * viewport * 0.5;
+}
+
+void main() {
+  mat4 mvp = projectionMatrix * modelViewMatrix;
+  vec4 clip = mvp * vec4( position, 1.0 );
+
+  vec2 dir = toScreen( mvp * vec4( arcNext, 1.0 ) ) - toScreen( mvp * vec4( arcPrev, 1.0 ) );
+  float len = length( dir );
+  dir = len > 1e-6 ? dir / len : vec2( 1.0, 0.0 );
+  vec2 normal = vec2( -dir.y, dir.x );
+
+  clip.xy += normal * arcSide * arcWidth / viewport * clip.w;
+  gl_Position = clip;
+
+  vColor = arcColor;
+  vOpacity = arcOpacity;
+  vDistance = arcDistance;
+  vSide = arcSide;
+}
+`;
+
+const fragmentShader = `
+uniform float dashLength;
+uniform float gapLength;
+uniform float dashOffset;
+
+varying vec3 vColor;
+varying float vOpacity;
+varying float vDistance;
+varying float vSide;
+
+void main() {
+  if ( dashLength > 0.0 && mod( vDistance - dashOffset, dashLength + gapLength ) > dashLength ) discard;
+
+  // Soft edges across the ribbon.
+  float edge = 1.0 - smoothstep( 0.6, 1.0, abs( vSide ) );
+  gl_FragColor = vec4( vColor, vOpacity * edge );
+  // arcColor is linear like THREE.Color, so encode it for the sRGB output.
+  #include <colorspace_fragment>
+}
+`;
+
+export class ArcBatch {
+  constructor({ renderOrder = 0 } = {}) {
+    this.geometry = new THREE.BufferGeometry();
+    this.dash = { dashLength: 0, gapLength: 0, speed: 0 };
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        viewport: { value: new THREE.Vector2(1, 1) },
+        dashLength: { value: 0 },
+        gapLength: { value: 0 },
+        dashOffset: { value: 0 }
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthTest: true,
+      depthWrite: false,
+      side: THREE.DoubleSide
+    });
+
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = renderOrder;
+
+    const size = new THREE.Vector2();
+    this.mesh.onBeforeRender = (renderer) => {
+      renderer.getSize(size);
+      this.material.uniforms.viewport.value.copy(size);
+    };
+  }
+
+  /**
+   * Replace every line. Each is { points: [{ x, y, z }], color (THREE.Color), widthPx, opacity }.
+   */
+  setArcs(arcs) {
+    const list = (Array.isArray(arcs) ? arcs : []).filter((arc) => arc?.points?.length >= 2);
+    const vertexCount = list.reduce((sum, arc) => sum + arc.points.length * 2, 0);
+
+    const position = new Float32Array(vertexCount * 3);
+    const prev = new Float32Array(vertexCount * 3);
+    const next = new Float32Array(vertexCount * 3);
+    const side = new Float32Array(vertexCount);
+    const distance = new Float32Array(vertexCount);
+    const color = new Float32Array(vertexCount * 3);
+    const width = new Float32Array(vertexCount);
+    const opacity = new Float32Array(vertexCount);
+    const indices = [];
+
+    let v = 0;
+    for (const arc of list) {
+      const { points } = arc;
+      const widthPx = Math.max(0, Number(arc.widthPx) || 0);
+      const alpha = Math.max(0, Math.min(1, Number(arc.opacity ?? 1)));
+      let travelled = 0;
+
+      points.forEach((p, i) => {
+        const before = points[Math.max(0, i - 1)];
+        const after = points[Math.min(points.length - 1, i + 1)];
+        if (i > 0) travelled += Math.hypot(p.x - before.x, p.y - before.y, p.z - before.z);
+
+        for (const s of [-1, 1]) {
+          position.set([p.x, p.y, p.z], v * 3);
+          prev.set([before.x, before.y, before.z], v * 3);
+          next.set([after.x, after.y, after.z], v * 3);
+          color.set([arc.color.r, arc.color.g, arc.color.b], v * 3);
+          side[v] = s;
+          distance[v] = travelled;
+          width[v] = widthPx;
+          opacity[v] = alpha;
+          v++;
+        }
+
+        if (i > 0) {
+          const a = v - 4;
+          indices.push(a, a + 1, a + 2, a + 1, a + 3, a + 2);
+        }
+      });
+    }
+
+    const g = this.geometry;
+    g.setAttribute('position', new THREE.BufferAttribute(position, 3));
+    g.setAttribute('arcPrev', new THREE.BufferAttribute(prev, 3));
+    g.setAttribute('arcNext', new THREE.BufferAttribute(next, 3));
+    g.setAttribute('arcSide', new THREE.BufferAttribute(side, 1));
+    g.setAttribute('arcDistance', new THREE.BufferAttribute(distance, 1));
+    g.setAttribute('arcColor', new THREE.BufferAttribute(color, 3));
+    g.setAttribute('arcWidth', new THREE.BufferAttribute(width, 1));
+    g.setAttribute('arcOpacity', new THREE.BufferAttribute(opacity, 1));
+    g.setIndex(indices);
+    g.computeBoundingSphere();
+  }
+
+  /**
+   * Dash pattern in world units (0 dashLength = solid) and flow speed in units per second.
+   */
+  setDash({ dashLength = 0, gapLength = 0, speed = 0 } = {}) {
+    this.dash = { dashLength, gapLength, speed };
+    this.material.uniforms.dashLength.value = dashLength;
+    this.material.uniforms.gapLength.value = gapLength;
+  }
+
+  setTime(seconds) {
+    const period = this.dash.dashLength + this.dash.gapLength;
+    // Wrapped so the float offset keeps its precision over long sessions.
+    this.material.uniforms.dashOffset.value = period > 0 ? (seconds * this.dash.speed) % period : 0;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -2,7 +2,7 @@
  * CameraController
  *
  * Responsible for:
- * - Orbit / rotation behaviour
+ * - Orbit / rotation behaviour (mouse drag, touch pinch/twist, inertial spin)
  * - Zoom limits
  * - Smooth transitions
  * - Reset and focus logic
@@ -13,8 +13,22 @@
  * - Create geometry
  */
 
+import * as THREE from 'three';
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
 export class CameraController {
-  constructor(camera, domElement) {
+  constructor(camera, domElement, options = {}) {
     // camera: Three.js camera
     // domElement: canvas or container for input events
     this.camera = camera;
@@ -44,9 +58,35 @@ export class CameraController {
     this.lastX = 0;
     this.lastY = 0;
 
+    // Active pointers (pointerId -> { x, y }) so touch gestures can use two fingers.
+    this.pointers = new Map();
+    this.gesture = null;
+    this.lastTap = null;
+    this.doubleTapMs = 300;
+    this.doubleTapSlopPx = 24;
+
     this.rotateSpeed = 0.005;
     this.zoomSpeed = 1.08;
 
+    // Inertial spin after a drag is released. Damping is the fraction of velocity kept per 60 Hz frame.
+    this.enableInertia = options.inertia ?? true;
+    this.damping = this.clamp(options.damping ?? 0.92, 0, 0.999);
+    this.velocityTheta = 0; // radians per ms
+    this.velocityPhi = 0;
+    this.lastMoveMs = 0;
+    this.lastUpdateMs = null;
+
+    // Keyboard orbit step, in equivalent drag pixels (scaled by zoom like a drag).
+    this.keyOrbitPx = 60;
+
+    // prefers-reduced-motion: flights jump straight to their destination, no inertia.
+    this.reducedMotion = false;
+
+    // Animated flights (focus / reset / zoom steps), advanced from update().
+    this.flight = null;
+    this.zoomStepDurationMs = 160;
+    this.resetDurationMs = 900;
+
     this.onChange = null;
   }
 
@@ -57,6 +97,7 @@ export class CameraController {
     this.handlePointerMove = (event) => this.onPointerMove(event);
     this.handlePointerUp = (event) => this.onPointerUp(event);
     this.handleWheel = (event) => this.onWheel(event);
+    this.handleKeyDown = (event) => this.onKeyDown(event);
 
     this.domElement.addEventListener('pointerdown', this.handlePointerDown);
     this.domElement.addEventListener('pointermove', this.handlePointerMove);
@@ -64,54 +105,99 @@ export class CameraController {
     this.domElement.addEventListener('pointercancel', this.handlePointerUp);
     this.domElement.addEventListener('pointerleave', this.handlePointerUp);
     this.domElement.addEventListener('wheel', this.handleWheel, { passive: true });
+    this.domElement.addEventListener('keydown', this.handleKeyDown);
   }
 
-  reset() {
-    this.radius = this.baseRadius;
-    this.setFov(this.baseFov);
-    this.theta = 0;
-    this.phi = Math.PI / 2;
-    this.updateCameraPosition();
+  setReducedMotion(enabled) {
+    this.reducedMotion = Boolean(enabled);
+    if (this.reducedMotion) this.stopInertia();
+  }
+
+  reset({ durationMs = this.resetDurationMs } = {}) {
+    return this.flyTo(
+      { theta: 0, phi: Math.PI / 2, radius: this.baseRadius, fov: this.baseFov },
+      { durationMs }
+    );
   }
 
   zoomIn() {
-    // Prefer moving closer until we reach the minimum safe radius.
-    const nextRadius = this.radius / this.zoomSpeed;
-    if (nextRadius >= this.minRadius + 1e-6) {
-      this.radius = this.clampRadius(nextRadius);
-    } else {
-      // Then zoom further by narrowing the FOV.
-      this.setFov(this.clampFov(this.camera.fov / this.zoomSpeed));
-    }
-    this.updateCameraPosition();
+    const target = this.stepZoom(this.getTargetViewState(), 1);
+    return this.flyTo(target, { durationMs: this.zoomStepDurationMs, chain: true, easing: easeOutCubic });
   }
 
   zoomOut() {
-    // Undo FOV zoom first, then move back.
-    if (this.camera.fov < this.maxFov - 1e-6) {
-      this.setFov(this.clampFov(this.camera.fov * this.zoomSpeed));
+    const target = this.stepZoom(this.getTargetViewState(), -1);
+    return this.flyTo(target, { durationMs: this.zoomStepDurationMs, chain: true, easing: easeOutCubic });
+  }
+
+  stepZoom(state, direction) {
+    const next = { ...state };
+    if (direction > 0) {
+      // Prefer moving closer until we reach the minimum safe radius.
+      const nextRadius = state.radius / this.zoomSpeed;
+      if (nextRadius >= this.minRadius + 1e-6) {
+        next.radius = this.clampRadius(nextRadius);
+      } else {
+        // Then zoom further by narrowing the FOV.
+        next.fov = this.clampFov(state.fov / this.zoomSpeed);
+      }
+    } else if (state.fov < this.maxFov - 1e-6) {
+      // Undo FOV zoom first, then move back.
+      next.fov = this.clampFov(state.fov * this.zoomSpeed);
     } else {
-      this.radius = this.clampRadius(this.radius * this.zoomSpeed);
+      next.radius = this.clampRadius(state.radius * this.zoomSpeed);
     }
-    this.updateCameraPosition();
+    return next;
   }
 
-  focusOn(regionBounds) {
-    if (!regionBounds) return;
+  focusOn(regionBounds, { durationMs = null } = {}) {
+    const target = this.computeFocusTarget(regionBounds);
+    if (!target) return Promise.resolve(false);
 
-    // Reset FOV for a predictable "fit".
-    this.setFov(this.baseFov);
+    // Scale flight time with the angular distance travelled so short hops stay snappy.
+    const from = this.directionFromAngles(this.theta, this.phi);
+    const to = this.directionFromAngles(target.theta, target.phi);
+    const omega = Math.acos(this.clamp(from.x * to.x + from.y * to.y + from.z * to.z, -1, 1));
+    const duration = durationMs ?? this.clamp(600 + (omega / Math.PI) * 900, 450, 1500);
+
+    return this.flyTo(target, { durationMs: duration });
+  }
+
+  // Rotate so lat/lon sits at the view centre, keeping the current zoom.
+  centerOn(lat, lon, { durationMs = 500 } = {}) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return Promise.resolve(false);
+    const v = this.unitVectorFromLatLon(lat, lon);
+    return this.flyTo(
+      { theta: Math.atan2(v.x, v.z), phi: Math.acos(this.clamp(v.y, -1, 1)) },
+      { durationMs }
+    );
+  }
+
+  // View state with lat/lon at the view centre at the given zoom factor (see getZoomFactor).
+  viewStateAt(lat, lon, zoomFactor = 1) {
+    const v = this.unitVectorFromLatLon(lat, lon);
+    const zoomed = this.scaleZoom({ radius: this.baseRadius, fov: this.baseFov }, zoomFactor);
+    return {
+      theta: Math.atan2(v.x, v.z),
+      phi: this.clamp(Math.acos(this.clamp(v.y, -1, 1)), this.minPhi, this.maxPhi),
+      radius: zoomed.radius,
+      fov: zoomed.fov
+    };
+  }
+
+  computeFocusTarget(regionBounds) {
+    if (!regionBounds) return null;
 
     const { minLat, maxLat, minLon, maxLon } = regionBounds;
-    if ([minLat, maxLat, minLon, maxLon].some((v) => typeof v !== 'number')) return;
+    if ([minLat, maxLat, minLon, maxLon].some((v) => typeof v !== 'number')) return null;
 
     const centerLat = (minLat + maxLat) / 2;
     const centerLon = (minLon + maxLon) / 2;
     const center = this.unitVectorFromLatLon(centerLat, centerLon);
 
     // Put the camera on the same side as the region center so it faces the viewer.
-    this.theta = Math.atan2(center.x, center.z);
-    this.phi = this.clamp(Math.acos(center.y), this.minPhi, this.maxPhi);
+    const theta = Math.atan2(center.x, center.z);
+    const phi = this.clamp(Math.acos(center.y), this.minPhi, this.maxPhi);
 
     // Estimate angular extent using the bounding box corners.
     const corners = [
@@ -133,16 +219,115 @@ export class CameraController {
     }
 
     // Convert region angular extent into a camera radius that fits in the vertical FOV.
+    // Uses the base FOV for a predictable "fit".
     // gamma = atan( sin(alpha) / (R - cos(alpha)) )  =>  R = cos(alpha) + sin(alpha)/tan(gamma)
-    const fovRad = (this.camera.fov * Math.PI) / 180;
+    const fovRad = (this.baseFov * Math.PI) / 180;
     const halfFov = fovRad / 2;
     const margin = 0.9;
     const gamma = Math.max(0.15, halfFov * margin);
     const alpha = this.clamp(maxAlpha, 0.01, Math.PI / 2);
 
     const desiredRadius = Math.cos(alpha) + Math.sin(alpha) / Math.tan(gamma);
-    this.radius = this.clampRadius(desiredRadius);
 
+    return {
+      theta,
+      phi,
+      radius: this.clampRadius(desiredRadius),
+      fov: this.baseFov
+    };
+  }
+
+  /**
+   * Animate the camera to a target view state.
+   *
+   * The direction travels along the great circle between the current and target
+   * camera positions while radius and FOV are eased. Long flights pull back a
+   * little mid-way so the destination stays in context.
+   *
+   * Returns a promise that resolves `true` when the camera lands, or `false` if the
+   * flight is interrupted (user drag or a newer, non-chained flight).
+   *
+   * `chain: true` keeps the active flight's destination direction and hands its
+   * pending promises to the new flight (used by zoom steps during a fly-to).
+   */
+  flyTo(target, { durationMs = 800, easing = easeInOutCubic, chain = false } = {}) {
+    const previous = this.flight;
+    const base = chain ? this.getTargetViewState() : this.getViewState();
+    const to = {
+      theta: target.theta ?? base.theta,
+      phi: this.clamp(target.phi ?? base.phi, this.minPhi, this.maxPhi),
+      radius: this.clampRadius(target.radius ?? base.radius),
+      fov: this.clampFov(target.fov ?? base.fov)
+    };
+
+    let resolvers = [];
+    if (previous) {
+      this.flight = null;
+      if (chain) {
+        resolvers = previous.resolvers;
+      } else {
+        previous.resolvers.forEach((resolve) => resolve(false));
+      }
+    }
+
+    const promise = new Promise((resolve) => resolvers.push(resolve));
+
+    const remainingMs = previous && chain
+      ? Math.max(0, previous.startMs + previous.durationMs - performance.now())
+      : 0;
+    const duration = this.reducedMotion ? 0 : Math.max(Number(durationMs) || 0, remainingMs);
+
+    if (duration <= 0) {
+      this.applyViewState(to);
+      resolvers.forEach((resolve) => resolve(true));
+      return promise;
+    }
+
+    const fromDir = this.directionFromAngles(this.theta, this.phi);
+    const toDir = this.directionFromAngles(to.theta, to.phi);
+    const omega = Math.acos(this.clamp(fromDir.x * toDir.x + fromDir.y * toDir.y + fromDir.z * toDir.z, -1, 1));
+
+    this.flight = {
+      from: this.getViewState(),
+      to,
+      fromDir,
+      toDir,
+      omega,
+      // Pull-back height for long flights (radians travelled → extra radius).
+      lift: omega > 0.35 ? Math.min(2.5, omega * 1.1) : 0,
+      startMs: performance.now(),
+      durationMs: duration,
+      easing,
+      resolvers
+    };
+
+    return promise;
+  }
+
+  cancelFlight() {
+    const flight = this.flight;
+    if (!flight) return;
+    this.flight = null;
+    flight.resolvers.forEach((resolve) => resolve(false));
+  }
+
+  isFlying() {
+    return Boolean(this.flight);
+  }
+
+  getViewState() {
+    return { theta: this.theta, phi: this.phi, radius: this.radius, fov: this.camera.fov };
+  }
+
+  getTargetViewState() {
+    return this.flight ? { ...this.flight.to } : this.getViewState();
+  }
+
+  applyViewState({ theta, phi, radius, fov }) {
+    this.theta = theta;
+    this.phi = this.clamp(phi, this.minPhi, this.maxPhi);
+    this.radius = this.clampRadius(radius);
+    this.setFov(fov);
     this.updateCameraPosition();
   }
 
@@ -150,40 +335,127 @@ export class CameraController {
     const minZoom = Number(minZoomFactor);
     if (!Number.isFinite(minZoom) || minZoom <= 0) return;
 
+    // Step from the flight destination (if any) so this composes with focusOn().
     const steps = Math.max(0, Math.min(256, Number(maxSteps) || 0));
+    let target = this.getTargetViewState();
+    let changed = false;
     for (let i = 0; i < steps; i++) {
-      if (this.getZoomFactor() >= minZoom - 1e-6) break;
-      this.zoomIn();
+      if (this.zoomFactorFor(target) >= minZoom - 1e-6) break;
+      target = this.stepZoom(target, 1);
+      changed = true;
+    }
+
+    if (!changed) return Promise.resolve(true);
+    return this.flyTo(target, { durationMs: this.zoomStepDurationMs * 2, chain: true });
+  }
+
+  update(nowMs = performance.now()) {
+    const deltaMs = this.lastUpdateMs == null ? 0 : Math.min(100, nowMs - this.lastUpdateMs);
+    this.lastUpdateMs = nowMs;
+
+    const flight = this.flight;
+    if (!flight) {
+      this.updateInertia(deltaMs);
+      return;
+    }
+
+    const t = this.clamp((nowMs - flight.startMs) / flight.durationMs, 0, 1);
+    const e = flight.easing(t);
+
+    const dir = this.slerpUnit(flight.fromDir, flight.toDir, flight.omega, e);
+    const lift = flight.lift * Math.sin(Math.PI * e);
+
+    this.theta = Math.atan2(dir.x, dir.z);
+    this.phi = this.clamp(Math.acos(this.clamp(dir.y, -1, 1)), this.minPhi, this.maxPhi);
+    this.radius = this.clampRadius(lerp(flight.from.radius, flight.to.radius, e) + lift);
+    this.setFov(lerp(flight.from.fov, flight.to.fov, e));
+
+    if (t >= 1) {
+      // Land exactly on the requested angles (avoids atan2 wrap drift).
+      this.theta = flight.to.theta;
+      this.phi = flight.to.phi;
+      this.radius = flight.to.radius;
+      this.flight = null;
+      this.updateCameraPosition();
+      flight.resolvers.forEach((resolve) => resolve(true));
+      return;
+    }
+
+    this.updateCameraPosition();
+  }
+
+  updateInertia(deltaMs) {
+    if (this.isDragging || deltaMs <= 0) return;
+    if (this.velocityTheta === 0 && this.velocityPhi === 0) return;
+
+    this.theta += this.velocityTheta * deltaMs;
+    this.phi = this.clamp(this.phi + this.velocityPhi * deltaMs, this.minPhi, this.maxPhi);
+
+    // Frame-rate independent exponential decay.
+    const decay = Math.pow(this.damping, deltaMs / (1000 / 60));
+    this.velocityTheta *= decay;
+    this.velocityPhi *= decay;
+
+    if (Math.hypot(this.velocityTheta, this.velocityPhi) < 1e-6) {
+      this.stopInertia();
     }
+
+    this.updateCameraPosition();
   }
 
-  update() {
-    // Reserved for future smoothing/damping.
+  stopInertia() {
+    this.velocityTheta = 0;
+    this.velocityPhi = 0;
   }
 
   onPointerDown(event) {
-    this.isDragging = true;
-    this.activePointerId = event.pointerId;
-    this.lastX = event.clientX;
-    this.lastY = event.clientY;
-    this.domElement.setPointerCapture(event.pointerId);
+    // Grabbing the globe always wins over a programmatic flight or leftover spin.
+    this.cancelFlight();
+    this.stopInertia();
+
+    this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, downX: event.clientX, downY: event.clientY, downMs: event.timeStamp });
+    this.domElement.setPointerCapture?.(event.pointerId);
+
+    if (this.pointers.size === 1) {
+      this.isDragging = true;
+      this.activePointerId = event.pointerId;
+      this.lastX = event.clientX;
+      this.lastY = event.clientY;
+      this.lastMoveMs = event.timeStamp;
+    } else if (this.pointers.size === 2) {
+      this.beginGesture();
+    }
   }
 
   onPointerMove(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+
+    if (this.gesture) {
+      this.updateGesture();
+      return;
+    }
+
     if (!this.isDragging || event.pointerId !== this.activePointerId) return;
 
     const dx = event.clientX - this.lastX;
     const dy = event.clientY - this.lastY;
 
-    const dragScale = this.radius / this.baseRadius; // slower when zoomed in
-    const distanceZoom = this.baseRadius / this.radius;
-    const fovZoom = this.baseFov / this.camera.fov;
-    const effectiveZoom = distanceZoom * fovZoom;
-    const rotateStep = (this.rotateSpeed * dragScale) / Math.max(1, effectiveZoom);
+    const rotateStep = this.getRotateStep();
+    const dTheta = -dx * rotateStep;
+    const prevPhi = this.phi;
 
-    this.theta -= dx * rotateStep;
+    this.theta += dTheta;
     this.phi = this.clamp(this.phi - dy * rotateStep, this.minPhi, this.maxPhi);
 
+    // Smoothed drag velocity, used for the inertial spin on release.
+    const dt = Math.max(1, event.timeStamp - this.lastMoveMs);
+    this.velocityTheta = this.velocityTheta * 0.6 + (dTheta / dt) * 0.4;
+    this.velocityPhi = this.velocityPhi * 0.6 + ((this.phi - prevPhi) / dt) * 0.4;
+    this.lastMoveMs = event.timeStamp;
+
     this.updateCameraPosition();
 
     this.lastX = event.clientX;
@@ -191,20 +463,271 @@ export class CameraController {
   }
 
   onPointerUp(event) {
-    if (event.pointerId === this.activePointerId) {
-      this.isDragging = false;
-      this.activePointerId = null;
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return;
+    this.pointers.delete(event.pointerId);
+    if (this.domElement.hasPointerCapture?.(event.pointerId)) {
       this.domElement.releasePointerCapture(event.pointerId);
     }
+
+    if (this.gesture) {
+      // Dropping to one finger continues as a plain drag from where that finger is now.
+      this.gesture = null;
+      this.stopInertia();
+      const [remainingId, remaining] = this.pointers.entries().next().value || [];
+      if (remaining) {
+        this.isDragging = true;
+        this.activePointerId = remainingId;
+        this.lastX = remaining.x;
+        this.lastY = remaining.y;
+        this.lastMoveMs = event.timeStamp;
+      } else {
+        this.isDragging = false;
+        this.activePointerId = null;
+      }
+      return;
+    }
+
+    if (event.pointerId !== this.activePointerId) return;
+    this.isDragging = false;
+    this.activePointerId = null;
+
+    // A pause before release means the user "placed" the globe; don't fling it.
+    const releasedStill = event.timeStamp - this.lastMoveMs > 80;
+    if (!this.enableInertia || this.reducedMotion || releasedStill || event.type !== 'pointerup') {
+      this.stopInertia();
+    }
+
+    if (event.type === 'pointerup') this.detectDoubleTap(pointer, event);
   }
 
-  onWheel(event) {
-    const direction = event.deltaY > 0 ? 1 : -1;
-    if (direction > 0) {
-      this.zoomOut();
+  detectDoubleTap(pointer, event) {
+    const moved = Math.hypot(pointer.x - pointer.downX, pointer.y - pointer.downY);
+    if (moved > this.doubleTapSlopPx || event.timeStamp - pointer.downMs > this.doubleTapMs) {
+      this.lastTap = null;
+      return;
+    }
+
+    const last = this.lastTap;
+    const isDouble = last &&
+      event.timeStamp - last.timeMs <= this.doubleTapMs &&
+      Math.hypot(pointer.x - last.x, pointer.y - last.y) <= this.doubleTapSlopPx;
+
+    if (!isDouble) {
+      this.lastTap = { x: pointer.x, y: pointer.y, timeMs: event.timeStamp };
+      return;
+    }
+
+    this.lastTap = null;
+    this.stopInertia();
+    this.zoomToPoint(pointer.x, pointer.y, 2);
+  }
+
+  /**
+   * Fly so the globe point under the given client position becomes the view centre,
+   * zooming in by `factor`. Misses (space around the globe) just zoom about the centre.
+   */
+  zoomToPoint(clientX, clientY, factor = 2) {
+    const hit = this.pickUnitSphere(clientX, clientY);
+    const target = this.scaleZoom(this.getTargetViewState(), factor);
+    if (hit) {
+      target.theta = Math.atan2(hit.x, hit.z);
+      target.phi = Math.acos(this.clamp(hit.y, -1, 1));
+    }
+    return this.flyTo(target, { durationMs: 450 });
+  }
+
+  beginGesture() {
+    const [a, b] = Array.from(this.pointers.values());
+    this.isDragging = false;
+    this.activePointerId = null;
+    this.stopInertia();
+    this.lastTap = null;
+    this.gesture = {
+      distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+      angle: Math.atan2(b.y - a.y, b.x - a.x),
+      midX: (a.x + b.x) / 2,
+      midY: (a.y + b.y) / 2
+    };
+  }
+
+  updateGesture() {
+    const [a, b] = Array.from(this.pointers.values());
+    if (!a || !b) return;
+
+    const distance = Math.max(1, Math.hypot(b.x - a.x, b.y - a.y));
+    const angle = Math.atan2(b.y - a.y, b.x - a.x);
+    const midX = (a.x + b.x) / 2;
+    const midY = (a.y + b.y) / 2;
+    const g = this.gesture;
+
+    // Pinch: spread ratio drives the combined radius + FOV zoom, anchored at the
+    // previous finger midpoint so the pinched place stays between the fingers.
+    const current = this.getViewState();
+    const next = this.anchorZoom(current, this.scaleZoom(current, distance / g.distance), g.midX, g.midY);
+
+    // Two-finger pan orbits like a single-finger drag.
+    const rotateStep = this.getRotateStep();
+    next.theta -= (midX - g.midX) * rotateStep;
+    next.phi = this.clamp(next.phi - (midY - g.midY) * rotateStep, this.minPhi, this.maxPhi);
+
+    // Two-finger twist spins the globe about its polar axis.
+    let dAngle = angle - g.angle;
+    if (dAngle > Math.PI) dAngle -= Math.PI * 2;
+    if (dAngle < -Math.PI) dAngle += Math.PI * 2;
+    next.theta -= dAngle;
+
+    this.applyViewState(next);
+    this.gesture = { distance, angle, midX, midY };
+  }
+
+  getRotateStep() {
+    const dragScale = this.radius / this.baseRadius; // slower when zoomed in
+    const effectiveZoom = this.getZoomFactor();
+    return (this.rotateSpeed * dragScale) / Math.max(1, effectiveZoom);
+  }
+
+  /**
+   * Continuous zoom by a ratio: radius moves first (down to minRadius), any remaining
+   * zoom narrows the FOV; zooming out widens the FOV back to base before pulling away.
+   */
+  scaleZoom(state, factor) {
+    const next = { ...state };
+    if (!Number.isFinite(factor) || factor <= 0) return next;
+
+    if (factor >= 1) {
+      const radius = Math.max(this.minRadius, state.radius / factor);
+      const gained = state.radius / radius;
+      next.radius = radius;
+      next.fov = this.clampFov(state.fov / (factor / gained));
     } else {
-      this.zoomIn();
+      const fov = Math.min(this.maxFov, state.fov / factor);
+      const gained = state.fov / fov;
+      next.fov = fov;
+      next.radius = this.clampRadius(state.radius / (factor / gained));
+    }
+    return next;
+  }
+
+  /**
+   * Ray-cast a client position against the unit globe. Returns the unit surface
+   * vector nearest the camera, or null when the ray misses.
+   *
+   * `state` (theta/phi/radius/fov) lets callers pick against a hypothetical view
+   * (e.g. a zoom destination) without moving the real camera.
+   */
+  pickUnitSphere(clientX, clientY, state = null) {
+    const rect = this.domElement.getBoundingClientRect();
+    if (!rect || rect.width <= 0 || rect.height <= 0) return null;
+
+    const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
+    const ndcY = -((clientY - rect.top) / rect.height) * 2 + 1;
+
+    const camera = state ? this.cameraForState(state) : this.camera;
+    camera.updateMatrixWorld();
+    const origin = camera.position;
+    const point = new THREE.Vector3(ndcX, ndcY, 0.5).unproject(camera);
+    const dir = point.sub(origin).normalize();
+
+    // |o + t d| = 1  →  t² + 2(o·d)t + (o·o - 1) = 0
+    const b = origin.dot(dir);
+    const c = origin.lengthSq() - 1;
+    const disc = b * b - c;
+    if (disc < 0) return null;
+
+    const t = -b - Math.sqrt(disc);
+    if (t < 0) return null;
+
+    return origin.clone().addScaledVector(dir, t).normalize();
+  }
+
+  cameraForState({ theta, phi, radius, fov }) {
+    if (!this.scratchCamera) this.scratchCamera = this.camera.clone();
+    const cam = this.scratchCamera;
+    cam.aspect = this.camera.aspect;
+    cam.near = this.camera.near;
+    cam.far = this.camera.far;
+    cam.fov = fov;
+    cam.updateProjectionMatrix();
+
+    const dir = this.directionFromAngles(theta, phi);
+    cam.position.set(dir.x * radius, dir.y * radius, dir.z * radius);
+    cam.lookAt(0, 0, 0);
+    return cam;
+  }
+
+  /**
+   * Adjust theta/phi of `next` so the globe point under (clientX, clientY) in `state`
+   * stays under the same screen position after the radius/FOV change.
+   *
+   * The camera keeps Y as "up", so a single rotation isn't exact; a couple of
+   * refinement passes converge well within a pixel.
+   */
+  anchorZoom(state, next, clientX, clientY) {
+    const anchor = this.pickUnitSphere(clientX, clientY, state);
+    if (!anchor) return next;
+
+    const anchored = { ...next };
+    const q = new THREE.Quaternion();
+    for (let i = 0; i < 3; i++) {
+      const drifted = this.pickUnitSphere(clientX, clientY, anchored);
+      if (!drifted) break;
+
+      // Rotating the camera by drifted→anchor brings the anchor back under the cursor.
+      q.setFromUnitVectors(drifted, anchor);
+      const d = this.directionFromAngles(anchored.theta, anchored.phi);
+      const dir = new THREE.Vector3(d.x, d.y, d.z).applyQuaternion(q);
+      anchored.theta = Math.atan2(dir.x, dir.z);
+      anchored.phi = this.clamp(Math.acos(this.clamp(dir.y, -1, 1)), this.minPhi, this.maxPhi);
+    }
+
+    return anchored;
+  }
+
+  onKeyDown(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const step = this.keyOrbitPx * this.getRotateStep();
+    const target = this.getTargetViewState();
+
+    switch (event.key) {
+      case 'ArrowLeft':
+        this.flyTo({ theta: target.theta + step }, { durationMs: 150, chain: true, easing: easeOutCubic });
+        break;
+      case 'ArrowRight':
+        this.flyTo({ theta: target.theta - step }, { durationMs: 150, chain: true, easing: easeOutCubic });
+        break;
+      case 'ArrowUp':
+        this.flyTo({ phi: target.phi - step }, { durationMs: 150, chain: true, easing: easeOutCubic });
+        break;
+      case 'ArrowDown':
+        this.flyTo({ phi: target.phi + step }, { durationMs: 150, chain: true, easing: easeOutCubic });
+        break;
+      case '+':
+      case '=':
+        this.zoomIn();
+        break;
+      case '-':
+      case '_':
+        this.zoomOut();
+        break;
+      case 'Home':
+        this.reset();
+        break;
+      default:
+        return;
     }
+
+    this.stopInertia();
+    event.preventDefault();
+  }
+
+  onWheel(event) {
+    // Zoom about the point under the cursor rather than the view centre.
+    const direction = event.deltaY > 0 ? -1 : 1;
+    const base = this.getTargetViewState();
+    const next = this.anchorZoom(base, this.stepZoom(base, direction), event.clientX, event.clientY);
+    this.flyTo(next, { durationMs: this.zoomStepDurationMs, chain: true, easing: easeOutCubic });
   }
 
   clampRadius(value) {
@@ -248,12 +771,48 @@ export class CameraController {
   }
 
   getZoomFactor() {
+    return this.zoomFactorFor(this.getViewState());
+  }
+
+  zoomFactorFor({ radius, fov }) {
     // Effective zoom combines distance + FOV zoom.
-    const distanceZoom = this.baseRadius / this.radius;
-    const fovZoom = this.baseFov / this.camera.fov;
+    const distanceZoom = this.baseRadius / radius;
+    const fovZoom = this.baseFov / fov;
     return distanceZoom * fovZoom;
   }
 
+  directionFromAngles(theta, phi) {
+    // Unit camera direction for the spherical angles used by updateCameraPosition.
+    const sinPhi = Math.sin(phi);
+    return {
+      x: sinPhi * Math.sin(theta),
+      y: Math.cos(phi),
+      z: sinPhi * Math.cos(theta)
+    };
+  }
+
+  slerpUnit(a, b, omega, t) {
+    if (omega < 1e-6) return { x: b.x, y: b.y, z: b.z };
+
+    const sinOmega = Math.sin(omega);
+    if (sinOmega < 1e-6) {
+      // Antipodal: no unique great circle, so nudge the chord over the pole and normalize.
+      const x = a.x + (b.x - a.x) * t;
+      const y = a.y + (b.y - a.y) * t + 1e-3 * Math.sin(Math.PI * t);
+      const z = a.z + (b.z - a.z) * t;
+      const invLen = 1 / (Math.sqrt(x * x + y * y + z * z) || 1);
+      return { x: x * invLen, y: y * invLen, z: z * invLen };
+    }
+
+    const s0 = Math.sin((1 - t) * omega) / sinOmega;
+    const s1 = Math.sin(t * omega) / sinOmega;
+    return {
+      x: a.x * s0 + b.x * s1,
+      y: a.y * s0 + b.y * s1,
+      z: a.z * s0 + b.z * s1
+    };
+  }
+
   unitVectorFromLatLon(lat, lon) {
     // Matches the coordinate system used by latLongToVector3 (but always unit radius).
     const phi = (90 - lat) * (Math.PI / 180);
@@ -0,0 +1,140 @@
+import * as THREE from 'three';
+import { latLongToVector3 } from './latLong.js';
+import { subsolarPoint, TWILIGHT_DEPRESSION_DEG } from './solar.js';
+
+const VERTEX_SHADER = `
+  varying vec3 vDir;
+  void main() {
+    vDir = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Night darkens in four soft steps: sunset, then the end of civil, nautical and
+// astronomical twilight, so the bands read as distinct but unbanded.
+const FRAGMENT_SHADER = `
+  uniform vec3 sunDir;
+  uniform vec3 nightColor;
+  uniform float maxShade;
+  uniform vec3 twilightEdges;
+  uniform float softnessDeg;
+  varying vec3 vDir;
+
+  float band(float depression, float edge) {
+    return smoothstep(edge - softnessDeg, edge + softnessDeg, depression);
+  }
+
+  void main() {
+    float altitude = degrees(asin(clamp(dot(normalize(vDir), sunDir), -1.0, 1.0)));
+    float depression = -altitude;
+    float shade = (
+      band(depression, 0.0) +
+      band(depression, twilightEdges.x) +
+      band(depression, twilightEdges.y) +
+      band(depression, twilightEdges.z)
+    ) * 0.25;
+    gl_FragColor = vec4(nightColor, shade * maxShade);
+  }
+`;
+
+/**
+ * Real-time solar terminator: a shading shell over the globe with soft
+ * civil / nautical / astronomical twilight bands, and a sun direction that
+ * GlobeRenderer uses for its directional light.
+ *
+ * Time follows the wall clock unless a time override is set.
+ */
+export class DayNight {
+  constructor(options = {}) {
+    // Between the globe (1.0) and boundary lines (1.002).
+    this.radius = options.radius ?? 1.0008;
+    this.maxShade = options.maxShade ?? 0.62;
+    this.softnessDeg = options.softnessDeg ?? 1.2;
+    this.nightColor = options.nightColor ?? 0x020612;
+    this.updateIntervalMs = options.updateIntervalMs ?? 1000;
+
+    this.enabled = false;
+    this.timeOverrideMs = null;
+
+    this.mesh = null;
+    this.material = null;
+    this.sun = null;
+    this.sunDirection = new THREE.Vector3(1, 0, 0);
+
+    this.lastUpdateMs = null;
+  }
+
+  init(globeRenderer) {
+    const geometry = new THREE.SphereGeometry(this.radius, 96, 64);
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        sunDir: { value: this.sunDirection.clone() },
+        nightColor: { value: new THREE.Color(this.nightColor) },
+        maxShade: { value: this.maxShade },
+        twilightEdges: {
+          value: new THREE.Vector3(
+            TWILIGHT_DEPRESSION_DEG.civil,
+            TWILIGHT_DEPRESSION_DEG.nautical,
+            TWILIGHT_DEPRESSION_DEG.astronomical
+          )
+        },
+        softnessDeg: { value: this.softnessDeg }
+      },
+      vertexShader: VERTEX_SHADER,
+      fragmentShader: FRAGMENT_SHADER,
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.material = material;
+    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh.visible = this.enabled;
+    // Draw right after the opaque globe, before line and label overlays.
+    this.mesh.renderOrder = -1;
+    globeRenderer.scene.add(this.mesh);
+  }
+
+  destroy(globeRenderer) {
+    if (this.mesh) globeRenderer.scene.remove(this.mesh);
+    this.mesh?.geometry?.dispose?.();
+    this.material?.dispose?.();
+    this.mesh = null;
+    this.material = null;
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    if (this.mesh) this.mesh.visible = this.enabled;
+    this.lastUpdateMs = null;
+  }
+
+  /**
+   * Pin the sun to a moment in time (Date or epoch ms); null follows the clock again.
+   */
+  setTimeOverride(time) {
+    const ms = time instanceof Date ? time.getTime() : time;
+    this.timeOverrideMs = Number.isFinite(ms) ? ms : null;
+    this.lastUpdateMs = null;
+  }
+
+  getTime() {
+    return new Date(this.timeOverrideMs ?? Date.now());
+  }
+
+  /**
+   * Recompute the sun position. Throttled to `updateIntervalMs` unless the
+   * time or enabled state changed. Returns true when the sun moved.
+   */
+  tick(globeRenderer, nowMs) {
+    if (!this.enabled) return false;
+    if (this.lastUpdateMs != null && nowMs - this.lastUpdateMs < this.updateIntervalMs) return false;
+    this.lastUpdateMs = nowMs;
+
+    this.sun = subsolarPoint(this.getTime());
+    const p = latLongToVector3(this.sun.lat, this.sun.lon, 1);
+    this.sunDirection.set(p.x, p.y, p.z).normalize();
+
+    if (this.material) this.material.uniforms.sunDir.value.copy(this.sunDirection);
+    return true;
+  }
+}
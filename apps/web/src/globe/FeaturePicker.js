@@ -0,0 +1,226 @@
+/**
+ * FeaturePicker
+ *
+ * Hover / click picking for layer features.
+ *
+ * Layers register what they draw while enabled:
+ * - polygons: GeoJSON features, hit-tested with point-in-polygon on the
+ *   lat/lon under the cursor (smallest matching polygon wins)
+ * - points: { feature, lat, lon }, hit-tested by nearest screen distance
+ *
+ * Points take precedence over polygons so markers stay clickable on top of
+ * boundaries.
+ *
+ * Events (EventTarget):
+ * - 'feature-hover'    detail: hit + { clientX, clientY }, or null when leaving a feature
+ * - 'feature-selected' detail: hit, or null when the selection is cleared
+ *
+ * A hit is { layerId, layerName, key, label, kind, feature, lat, lon }.
+ */
+
+import { vector3ToLatLong } from './latLong.js';
+import { featureAnchor, featureId, geometryBounds, pointInGeometry } from '../lib/geo.js';
+
+const CLICK_SLOP_PX = 5;
+const CLICK_MAX_MS = 500;
+
+export class FeaturePicker extends EventTarget {
+  constructor(globeRenderer, options = {}) {
+    super();
+    this.globe = globeRenderer;
+    this.hitRadiusPx = options.hitRadiusPx ?? 14;
+
+    // layerId -> { layer, polygons: [{ feature, bounds, area }], points: [{ feature, lat, lon }] }
+    this.targets = new Map();
+
+    this.hovered = null;
+    this.selected = null;
+
+    this.pendingMove = null;
+    this.moveFrame = null;
+    this.down = null;
+  }
+
+  init() {
+    const canvas = this.globe?.renderer?.domElement;
+    if (!canvas) return;
+    this.canvas = canvas;
+
+    canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+    canvas.addEventListener('pointerleave', () => this.setHovered(null));
+    canvas.addEventListener('pointerdown', (event) => {
+      this.down = { x: event.clientX, y: event.clientY, timeMs: event.timeStamp, pointerId: event.pointerId };
+    });
+    canvas.addEventListener('pointerup', (event) => this.onPointerUp(event));
+  }
+
+  register(layer, { polygons = [], points = [] } = {}) {
+    if (!layer?.id) return;
+
+    const polygonTargets = [];
+    for (const feature of polygons) {
+      const bounds = geometryBounds(feature?.geometry);
+      if (!bounds) continue;
+      const area = (bounds.maxLat - bounds.minLat) * (bounds.maxLon - bounds.minLon);
+      polygonTargets.push({ feature, bounds, area });
+    }
+
+    const pointTargets = points.filter((p) => Number.isFinite(p?.lat) && Number.isFinite(p?.lon));
+
+    this.targets.set(layer.id, { layer, polygons: polygonTargets, points: pointTargets });
+  }
+
+  unregister(layerId) {
+    if (!this.targets.delete(layerId)) return;
+    if (this.hovered?.layerId === layerId) this.setHovered(null);
+    if (this.selected?.layerId === layerId) this.select(null);
+  }
+
+  onPointerMove(event) {
+    // Hover is for mice/pens; skip while a button is held (dragging the globe).
+    if (event.pointerType === 'touch' || event.buttons !== 0) {
+      if (this.hovered) this.setHovered(null);
+      return;
+    }
+
+    // Coalesce to one pick per frame.
+    this.pendingMove = { clientX: event.clientX, clientY: event.clientY };
+    if (this.moveFrame) return;
+    this.moveFrame = requestAnimationFrame(() => {
+      this.moveFrame = null;
+      const move = this.pendingMove;
+      if (!move) return;
+      const hit = this.pickAt(move.clientX, move.clientY);
+      this.setHovered(hit ? { ...hit, clientX: move.clientX, clientY: move.clientY } : null);
+    });
+  }
+
+  onPointerUp(event) {
+    const down = this.down;
+    this.down = null;
+    if (!down || down.pointerId !== event.pointerId) return;
+
+    const moved = Math.hypot(event.clientX - down.x, event.clientY - down.y);
+    if (moved > CLICK_SLOP_PX || event.timeStamp - down.timeMs > CLICK_MAX_MS) return;
+
+    this.select(this.pickAt(event.clientX, event.clientY));
+  }
+
+  setHovered(hit) {
+    if (!hit && !this.hovered) return;
+    this.hovered = hit;
+    if (this.canvas) this.canvas.style.cursor = hit ? 'pointer' : '';
+    // Emitted on every move over a feature (not just changes) so tooltips can follow the cursor.
+    this.dispatchEvent(new CustomEvent('feature-hover', { detail: hit }));
+  }
+
+  select(hit) {
+    if (!hit && !this.selected) return;
+    this.selected = hit || null;
+    this.dispatchEvent(new CustomEvent('feature-selected', { detail: this.selected }));
+  }
+
+  // Select a registered feature by hit key (e.g. from a deep link). Returns the hit, or null if not found.
+  selectKey(key) {
+    const target = this.targets.get(String(key).split(':')[0]);
+    if (!target) return null;
+
+    for (const p of target.points) {
+      const hit = this.toHit(target.layer, p.feature, 'point', p.lat, p.lon);
+      if (hit.key === key) {
+        this.select(hit);
+        return hit;
+      }
+    }
+    for (const { feature } of target.polygons) {
+      const anchor = featureAnchor(feature);
+      if (!anchor) continue;
+      const hit = this.toHit(target.layer, feature, 'polygon', anchor.lat, anchor.lon);
+      if (hit.key === key) {
+        this.select(hit);
+        return hit;
+      }
+    }
+    return null;
+  }
+
+  pickAt(clientX, clientY) {
+    return this.pickPoint(clientX, clientY) || this.pickPolygon(clientX, clientY);
+  }
+
+  pickPoint(clientX, clientY) {
+    const rect = this.canvas?.getBoundingClientRect?.();
+    if (!rect) return null;
+    const x = clientX - rect.left;
+    const y = clientY - rect.top;
+
+    let best = null;
+    let bestDist = this.hitRadiusPx;
+
+    for (const { layer, points } of this.targets.values()) {
+      if (!this.isPickable(layer)) continue;
+      for (const p of points) {
+        const screen = this.globe.projectLatLon(p.lat, p.lon);
+        if (!screen?.visible) continue;
+        const dist = Math.hypot(screen.x - x, screen.y - y);
+        if (dist <= bestDist) {
+          bestDist = dist;
+          best = this.toHit(layer, p.feature, 'point', p.lat, p.lon);
+        }
+      }
+    }
+
+    return best;
+  }
+
+  pickPolygon(clientX, clientY) {
+    const surface = this.globe.controls?.pickUnitSphere?.(clientX, clientY);
+    if (!surface) return null;
+    const { lat, lon } = vector3ToLatLong(surface);
+
+    let best = null;
+    let bestArea = Infinity;
+
+    for (const { layer, polygons } of this.targets.values()) {
+      if (!this.isPickable(layer)) continue;
+      for (const target of polygons) {
+        const b = target.bounds;
+        if (lat < b.minLat || lat > b.maxLat || lon < b.minLon || lon > b.maxLon) continue;
+        if (target.area >= bestArea) continue;
+        if (!pointInGeometry(lon, lat, target.feature.geometry)) continue;
+
+        bestArea = target.area;
+        best = { layer, feature: target.feature };
+      }
+    }
+
+    if (!best) return null;
+    const anchor = featureAnchor(best.feature) || { lat, lon };
+    return this.toHit(best.layer, best.feature, 'polygon', anchor.lat, anchor.lon);
+  }
+
+  // Enabled and not hidden (e.g. while another layer is soloed).
+  isPickable(layer) {
+    return layer.enabled && this.globe.isLayerVisible?.(layer.id) !== false;
+  }
+
+  toHit(layer, feature, kind, lat, lon) {
+    let label = '';
+    try {
+      label = layer.describeFeature?.(feature) || '';
+    } catch {
+      label = '';
+    }
+
+    return {
+      layerId: layer.id,
+      layerName: layer.name,
+      key: `${layer.id}:${featureId(feature) || `${lat.toFixed(4)},${lon.toFixed(4)}`}`,
+      label,
+      kind,
+      feature,
+      lat,
+      lon
+    };
+  }
+}
@@ -20,6 +20,21 @@
 import * as THREE from 'three';
 import { CameraController } from './CameraController.js';
 import { Starfield } from './Starfield.js';
+import { DayNight } from './DayNight.js';
+import { latLongToVector3 } from './latLong.js';
+
+const DEFAULT_LIGHT_POSITION = new THREE.Vector3(5, 3, 5);
+const DEFAULT_AMBIENT_INTENSITY = 0.6;
+const DAY_NIGHT_AMBIENT_INTENSITY = 0.35;
+
+// Layer stacking (setLayerOrder). Each layer's objects live in THREE.Groups, and
+// three.js sorts by a group's renderOrder before the objects' own, so a layer's
+// internal ordering (fill < lines < markers < labels) survives reordering.
+// Objects with a negative renderOrder (boundary fills) go in an underlay group
+// that stays below the day/night shell; everything else draws above it.
+const UNDERLAY_GROUP_ORDER = -1000;
+// Radial lift per stacking step, so equal-radius lines of a higher layer win the depth test.
+const LAYER_DEPTH_STEP = 2e-5;
 
 export class GlobeRenderer {
   constructor(containerElement) {
@@ -34,12 +49,23 @@ export class GlobeRenderer {
     this.animationId = null;
 
     this.starfield = null;
+    this.dayNight = null;
+
+    this.ambientLight = null;
+    this.sunLight = null;
 
     this.tickHandlers = [];
     this.lastTickMs = null;
 
+    // layerId -> { under, over } THREE.Groups; ids bottom to top; ids hidden by setLayerVisible.
+    this.layerGroups = new Map();
+    this.layerOrder = [];
+    this.hiddenLayers = new Set();
+
     this.width = 0;
     this.height = 0;
+
+    this.reducedMotion = false;
   }
 
   init() {
@@ -65,17 +91,29 @@ export class GlobeRenderer {
     this.renderer.setPixelRatio(window.devicePixelRatio);
     this.container.appendChild(this.renderer.domElement);
 
+    // Make the canvas a keyboard target (CameraController handles the keys).
+    const canvas = this.renderer.domElement;
+    canvas.tabIndex = 0;
+    canvas.setAttribute('role', 'application');
+    canvas.setAttribute('aria-roledescription', 'globe');
+    canvas.setAttribute('aria-label', this.container.getAttribute('aria-label') || '3D globe viewport');
+
     // Camera controls
-    this.controls = new CameraController(this.camera, this.renderer.domElement);
+    this.controls = new CameraController(this.camera, this.renderer.domElement, {
+      inertia: true,
+      damping: 0.92
+    });
     this.controls.init();
 
     // Light
-    const ambient = new THREE.AmbientLight(0xffffff, 0.6);
+    const ambient = new THREE.AmbientLight(0xffffff, DEFAULT_AMBIENT_INTENSITY);
     this.scene.add(ambient);
+    this.ambientLight = ambient;
 
     const directional = new THREE.DirectionalLight(0xffffff, 0.8);
-    directional.position.set(5, 3, 5);
+    directional.position.copy(DEFAULT_LIGHT_POSITION);
     this.scene.add(directional);
+    this.sunLight = directional;
 
     // Globe (opaque sphere)
     const radius = 1;
@@ -102,6 +140,13 @@ export class GlobeRenderer {
     this.starfield.init(this);
     this.addTickHandler(({ nowMs }) => this.starfield?.tick(this, nowMs));
 
+    // Day/night terminator (off by default; the light stays fixed until enabled)
+    this.dayNight = new DayNight();
+    this.dayNight.init(this);
+    this.addTickHandler(({ nowMs }) => {
+      if (this.dayNight?.tick(this, nowMs)) this.applySunLight();
+    });
+
     // Resize handling
     window.addEventListener('resize', () => this.onResize());
 
@@ -125,7 +170,7 @@ export class GlobeRenderer {
       }
 
       if (this.controls) {
-        this.controls.update();
+        this.controls.update(nowMs);
       }
       this.renderer.render(this.scene, this.camera);
       this.animationId = requestAnimationFrame(renderLoop);
@@ -161,38 +206,163 @@ export class GlobeRenderer {
     this.renderer.setSize(this.width, this.height);
   }
 
-  // Layer hooks (unused for now)
-  addObject(object3D) {
-    this.scene.add(object3D);
+  // Layer hooks. Objects added with a layerId follow that layer's order and visibility.
+  addObject(object3D, layerId = null) {
+    if (!layerId) {
+      this.scene.add(object3D);
+      return;
+    }
+
+    const groups = this.ensureLayerGroups(layerId);
+    const parent = object3D.renderOrder < 0 ? groups.under : groups.over;
+    parent.add(object3D);
+    // A nested group would otherwise reset the sort key for its children.
+    if (object3D.isGroup) object3D.renderOrder = parent.renderOrder;
   }
 
   removeObject(object3D) {
-    this.scene.remove(object3D);
+    object3D?.removeFromParent();
   }
 
-  // Camera controls (stubs for now)
-  resetView() {
-    if (this.controls) {
-      this.controls.reset();
+  /**
+   * Stack layers: `layerIds` from bottom to top. Layers not listed draw below.
+   */
+  setLayerOrder(layerIds) {
+    this.layerOrder = Array.isArray(layerIds) ? [...layerIds] : [];
+    for (const [layerId, groups] of this.layerGroups) this.applyLayerOrder(layerId, groups);
+  }
+
+  setLayerVisible(layerId, visible) {
+    if (visible) this.hiddenLayers.delete(layerId);
+    else this.hiddenLayers.add(layerId);
+
+    const groups = this.layerGroups.get(layerId);
+    if (groups) groups.under.visible = groups.over.visible = Boolean(visible);
+  }
+
+  isLayerVisible(layerId) {
+    return !this.hiddenLayers.has(layerId);
+  }
+
+  ensureLayerGroups(layerId) {
+    let groups = this.layerGroups.get(layerId);
+    if (groups) return groups;
+
+    groups = { under: new THREE.Group(), over: new THREE.Group() };
+    groups.under.name = `layer:${layerId}:under`;
+    groups.over.name = `layer:${layerId}:over`;
+    groups.under.visible = groups.over.visible = this.isLayerVisible(layerId);
+    this.scene.add(groups.under, groups.over);
+
+    this.layerGroups.set(layerId, groups);
+    this.applyLayerOrder(layerId, groups);
+    return groups;
+  }
+
+  applyLayerOrder(layerId, { under, over }) {
+    const rank = this.layerOrder.indexOf(layerId) + 1;
+    under.renderOrder = UNDERLAY_GROUP_ORDER + rank;
+    over.renderOrder = rank;
+    over.scale.setScalar(1 + rank * LAYER_DEPTH_STEP);
+
+    for (const group of [under, over]) {
+      for (const child of group.children) {
+        if (child.isGroup) child.renderOrder = group.renderOrder;
+      }
     }
   }
 
+  // Camera controls (animated; each returns a promise that resolves when the camera lands)
+  resetView() {
+    if (!this.controls) return Promise.resolve(false);
+    return this.controls.reset();
+  }
+
   zoomIn() {
-    if (this.controls) {
-      this.controls.zoomIn();
-    }
+    if (!this.controls) return Promise.resolve(false);
+    return this.controls.zoomIn();
   }
 
   zoomOut() {
-    if (this.controls) {
-      this.controls.zoomOut();
+    if (!this.controls) return Promise.resolve(false);
+    return this.controls.zoomOut();
+  }
+
+  focusRegion(regionBounds) {
+    if (!this.controls) return Promise.resolve(false);
+    return this.controls.focusOn(regionBounds);
+  }
+
+
+  /**
+   * Toggle real-time sun lighting and terminator shading.
+   */
+  setDayNightEnabled(enabled) {
+    if (!this.dayNight) return;
+    this.dayNight.setEnabled(enabled);
+    if (!this.dayNight.enabled) this.applySunLight();
+  }
+
+  /**
+   * Scrub the sun to a given time (Date or epoch ms); null returns to live time.
+   */
+  setTimeOverride(time) {
+    this.dayNight?.setTimeOverride(time);
+  }
+
+  getSimulationTime() {
+    return this.dayNight ? this.dayNight.getTime() : new Date();
+  }
+
+  applySunLight() {
+    if (!this.sunLight || !this.ambientLight) return;
+
+    if (this.dayNight?.enabled) {
+      // Light travels from the sun; keep some ambient so the night side stays legible.
+      this.sunLight.position.copy(this.dayNight.sunDirection).multiplyScalar(5);
+      this.ambientLight.intensity = DAY_NIGHT_AMBIENT_INTENSITY;
+    } else {
+      this.sunLight.position.copy(DEFAULT_LIGHT_POSITION);
+      this.ambientLight.intensity = DEFAULT_AMBIENT_INTENSITY;
     }
   }
 
-  focusRegion(_regionBounds) {
-    // Implement later
+  setReducedMotion(enabled) {
+    this.reducedMotion = Boolean(enabled);
+    if (this.starfield) this.starfield.reducedMotion = this.reducedMotion;
+    this.controls?.setReducedMotion?.(this.reducedMotion);
   }
 
+  /**
+   * Project a lat/lon (at `radius`) to container pixels.
+   * `visible` is false when the point is behind the globe or outside the viewport.
+   */
+  projectLatLon(lat, lon, radius = 1) {
+    if (!this.camera) return null;
+    const p = latLongToVector3(lat, lon, radius);
+    const v = new THREE.Vector3(p.x, p.y, p.z);
+
+    // Occluded by the (unit) globe when the camera sits on the far side of the point's tangent plane.
+    const facing = v.dot(this.camera.position) > v.lengthSq();
+
+    v.project(this.camera);
+    const x = (v.x + 1) * 0.5 * this.width;
+    const y = (1 - v.y) * 0.5 * this.height;
+    const onScreen = v.z < 1 && x >= 0 && x <= this.width && y >= 0 && y <= this.height;
+
+    return { x, y, visible: facing && onScreen };
+  }
+
+  /**
+   * Arc on the unit globe (radians) covered by one screen pixel at the centre of
+   * the view; screen-space sizes (cluster and heatmap radii) scale by this.
+   */
+  surfaceRadiansPerPixel() {
+    if (!this.camera || this.height <= 1) return 0;
+    const surfaceDistance = Math.max(1e-3, this.camera.position.length() - 1);
+    const halfFov = (this.camera.fov * Math.PI) / 360;
+    return (surfaceDistance * Math.tan(halfFov)) / (this.height / 2);
+  }
 
   sparkleStar() {
     const now = performance.now();
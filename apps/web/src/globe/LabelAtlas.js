@@ -0,0 +1,305 @@
+/**
+ * Text labels drawn from a shared texture atlas.
+ *
+ * LabelAtlas renders each distinct label once into a fixed-size canvas
+ * (shelf-packed), so GPU memory is bounded by the atlas size no matter how
+ * often labels are rebuilt. When the atlas fills up it is cleared and the
+ * caller's current labels are drawn again, so each atlas backs one LabelBatch.
+ *
+ * LabelBatch draws any number of atlas labels as one instanced quad mesh.
+ * Quads are billboarded and sized in screen pixels in the vertex shader, and
+ * labels behind the horizon are dropped there too (see horizon.js), so the
+ * CPU only touches labels when they change or are re-placed.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_LIMB_FADE } from './horizon.js';
+
+const DEFAULT_ATLAS_SIZE = 2048;
+
+const DEFAULT_TEXT_STYLE = {
+  fontPx: 14,
+  fontWeight: 600,
+  fontFamily: 'ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace',
+  color: 'rgba(0,255,102,0.95)',
+  shadow: 'rgba(0,0,0,0.85)',
+  padX: 10,
+  padY: 5,
+  maxPxW: 140
+};
+
+// Gap between packed labels so linear filtering doesn't bleed neighbours in.
+const ATLAS_GUTTER_PX = 2;
+
+export class LabelAtlas {
+  constructor({ size = DEFAULT_ATLAS_SIZE, pixelRatio = 2 } = {}) {
+    this.size = size;
+    this.pixelRatio = pixelRatio;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = size;
+    this.canvas.height = size;
+    this.ctx = this.canvas.getContext('2d');
+
+    // Canvas colours pass straight through (no sRGB decode/encode round trip).
+    this.texture = new THREE.CanvasTexture(this.canvas);
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+    this.texture.generateMipmaps = false;
+
+    // key -> { u0, v0, u1, v1, widthPx, heightPx }
+    this.entries = new Map();
+    this.clear();
+  }
+
+  clear() {
+    this.ctx?.clearRect(0, 0, this.size, this.size);
+    this.entries.clear();
+    this.shelfX = 0;
+    this.shelfY = 0;
+    this.shelfHeight = 0;
+    this.texture.needsUpdate = true;
+  }
+
+  /**
+   * Atlas entry for `text` in `style` (see DEFAULT_TEXT_STYLE), drawing it if
+   * needed. Sizes are CSS pixels. Returns null when the atlas is full.
+   */
+  getText(text, style = {}) {
+    const s = { ...DEFAULT_TEXT_STYLE, ...style };
+    const key = `${s.fontWeight}|${s.fontPx}|${s.fontFamily}|${s.color}|${s.shadow}|${s.padX}|${s.padY}|${s.maxPxW}|${text}`;
+    const cached = this.entries.get(key);
+    if (cached) return cached;
+    if (!this.ctx) return null;
+
+    const scale = this.pixelRatio;
+    const font = `${s.fontWeight} ${s.fontPx * scale}px ${s.fontFamily}`;
+    this.ctx.font = font;
+
+    const textW = Math.ceil(this.ctx.measureText(text).width / scale);
+    const widthPx = Math.min(textW + s.padX * 2, s.maxPxW);
+    const heightPx = s.fontPx + s.padY * 2;
+    const w = Math.ceil(widthPx * scale);
+    const h = Math.ceil(heightPx * scale);
+
+    const slot = this.allocate(w, h);
+    if (!slot) return null;
+
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(slot.x, slot.y, w, h);
+    ctx.clip();
+
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 4 * scale;
+    ctx.strokeStyle = s.shadow;
+    ctx.fillStyle = s.color;
+    ctx.strokeText(text, slot.x + s.padX * scale, slot.y + h / 2);
+    ctx.fillText(text, slot.x + s.padX * scale, slot.y + h / 2);
+    ctx.restore();
+
+    // flipY: canvas row 0 is the top of the texture (v = 1).
+    const entry = {
+      u0: slot.x / this.size,
+      v0: 1 - (slot.y + h) / this.size,
+      u1: (slot.x + w) / this.size,
+      v1: 1 - slot.y / this.size,
+      widthPx,
+      heightPx
+    };
+    this.entries.set(key, entry);
+    this.texture.needsUpdate = true;
+    return entry;
+  }
+
+  allocate(w, h) {
+    if (w > this.size || h > this.size) return null;
+
+    if (this.shelfX + w > this.size) {
+      this.shelfY += this.shelfHeight + ATLAS_GUTTER_PX;
+      this.shelfX = 0;
+      this.shelfHeight = 0;
+    }
+    if (this.shelfY + h > this.size) return null;
+
+    const slot = { x: this.shelfX, y: this.shelfY };
+    this.shelfX += w + ATLAS_GUTTER_PX;
+    this.shelfHeight = Math.max(this.shelfHeight, h);
+    return slot;
+  }
+
+  dispose() {
+    this.texture.dispose();
+    this.entries.clear();
+  }
+}
+
+const vertexShader = `
+uniform vec2 viewport;
+uniform float horizonFade;
+
+attribute vec3 labelPosition;
+attribute vec4 labelUv;
+attribute vec2 labelSize;
+attribute vec2 labelCenter;
+attribute float labelOpacity;
+
+varying vec2 vUv;
+varying float vAlpha;
+
+void main() {
+  vec4 world = modelMatrix * vec4( labelPosition, 1.0 );
+  float facing = dot( normalize( world.xyz ), normalize( cameraPosition - world.xyz ) );
+  vAlpha = labelOpacity * ( horizonFade > 0.0 ? smoothstep( 0.0, horizonFade, facing ) : step( 0.0, facing ) );
+
+  vec2 corner = position.xy + 0.5;
+  vUv = mix( labelUv.xy, labelUv.zw, corner );
+
+  vec4 clip = projectionMatrix * viewMatrix * world;
+  clip.xy += ( corner - labelCenter ) * labelSize * 2.0 / viewport * clip.w;
+
+  // Outside the clip volume: hidden labels cost nothing past the vertex stage.
+  gl_Position = vAlpha > 0.0 ? clip : vec4( 2.0, 2.0, 2.0, 1.0 );
+}
+`;
+
+const fragmentShader = `
+uniform sampler2D atlas;
+
+varying vec2 vUv;
+varying float vAlpha;
+
+void main() {
+  vec4 color = texture2D( atlas, vUv );
+  float alpha = color.a * vAlpha;
+  if ( alpha < 0.01 ) discard;
+  gl_FragColor = vec4( color.rgb, alpha );
+}
+`;
+
+export class LabelBatch {
+  constructor(atlas, { opacity = 0.95, horizonFade = DEFAULT_LIMB_FADE, renderOrder = 0 } = {}) {
+    this.atlas = atlas;
+    this.opacity = opacity;
+
+    // [{ text, style, position, center, visible }] as last passed to setLabels.
+    this.labels = [];
+    this.capacity = 0;
+
+    const quad = new THREE.PlaneGeometry(1, 1);
+    this.geometry = new THREE.InstancedBufferGeometry();
+    this.geometry.index = quad.index;
+    this.geometry.setAttribute('position', quad.getAttribute('position'));
+    this.geometry.instanceCount = 0;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        atlas: { value: atlas.texture },
+        viewport: { value: new THREE.Vector2(1, 1) },
+        horizonFade: { value: horizonFade }
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthTest: true,
+      depthWrite: false
+    });
+
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = renderOrder;
+
+    const size = new THREE.Vector2();
+    this.mesh.onBeforeRender = (renderer) => {
+      renderer.getSize(size);
+      this.material.uniforms.viewport.value.copy(size);
+    };
+  }
+
+  ensureCapacity(count) {
+    if (count <= this.capacity) return;
+
+    const capacity = Math.max(64, 2 ** Math.ceil(Math.log2(count)));
+    const attr = (itemSize) => new THREE.InstancedBufferAttribute(new Float32Array(capacity * itemSize), itemSize);
+    this.geometry.setAttribute('labelPosition', attr(3));
+    this.geometry.setAttribute('labelUv', attr(4));
+    this.geometry.setAttribute('labelSize', attr(2));
+    this.geometry.setAttribute('labelCenter', attr(2));
+    this.geometry.setAttribute('labelOpacity', attr(1));
+    this.capacity = capacity;
+  }
+
+  /**
+   * Replace every label. Each is { text, style, position, center = [0.5, 0.5], visible = true }.
+   * Returns the atlas entries (null where a label didn't fit), index-aligned.
+   */
+  setLabels(labels) {
+    this.labels = Array.isArray(labels) ? labels : [];
+
+    let entries = this.labels.map((label) => this.atlas.getText(label.text, label.style));
+    if (entries.includes(null)) {
+      // Full: start over with only what's needed now.
+      this.atlas.clear();
+      entries = this.labels.map((label) => this.atlas.getText(label.text, label.style));
+      const missing = entries.filter((entry) => !entry).length;
+      if (missing > 0) console.warn(`LabelBatch: ${missing} labels did not fit in the atlas`);
+    }
+    this.entries = entries;
+
+    this.ensureCapacity(this.labels.length);
+    const g = this.geometry;
+    const positions = g.getAttribute('labelPosition');
+    const uvs = g.getAttribute('labelUv');
+    const sizes = g.getAttribute('labelSize');
+
+    this.labels.forEach((label, i) => {
+      const p = label.position;
+      positions.setXYZ(i, p.x, p.y, p.z);
+
+      const entry = entries[i];
+      if (entry) {
+        uvs.setXYZW(i, entry.u0, entry.v0, entry.u1, entry.v1);
+        sizes.setXY(i, entry.widthPx, entry.heightPx);
+      } else {
+        sizes.setXY(i, 0, 0);
+      }
+    });
+
+    positions.needsUpdate = true;
+    uvs.needsUpdate = true;
+    sizes.needsUpdate = true;
+    g.instanceCount = this.labels.length;
+
+    this.updatePlacement();
+    return entries;
+  }
+
+  // Push each label's `center` and `visible` to the GPU (after LabelPlacer runs).
+  updatePlacement() {
+    if (this.capacity === 0) return;
+
+    const centers = this.geometry.getAttribute('labelCenter');
+    const opacities = this.geometry.getAttribute('labelOpacity');
+
+    this.labels.forEach((label, i) => {
+      const [cx, cy] = label.center || [0.5, 0.5];
+      centers.setXY(i, cx, cy);
+      opacities.setX(i, label.visible === false || !this.entries[i] ? 0 : this.opacity);
+    });
+
+    centers.needsUpdate = true;
+    opacities.needsUpdate = true;
+  }
+
+  setOpacity(opacity) {
+    this.opacity = opacity;
+    this.updatePlacement();
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
@@ -0,0 +1,207 @@
+/**
+ * LabelPlacer
+ *
+ * Screen-space collision avoidance for text sprites on the globe.
+ *
+ * Once the camera settles (no movement for `settleMs`), every label is
+ * projected to pixels and placed in priority order (lower priority value
+ * first, e.g. Natural Earth scalerank). Each label tries its anchors in turn
+ * (right of the point, left, above, ...) and takes the first box that doesn't
+ * overlap a label already placed; labels with no free anchor are hidden.
+ *
+ * Layers own their labels and hand them over with setLabels(). Each label is
+ * either a sprite ({ sprite, ... }: the placer sets `sprite.center` and
+ * `sprite.userData.labelPlaced`) or a plain record with a `position`, which
+ * gets `placed`, `anchor` and `center` written back (e.g. for LabelBatch).
+ * Labels are assumed to be drawn at a constant on-screen size of
+ * widthPx x heightPx. `onPlace(labels)` runs after every placement.
+ */
+
+import * as THREE from 'three';
+import { horizonVisibility } from './horizon.js';
+
+// sprite.center per anchor: the point on the sprite (0..1, y up) that sits on the label's position.
+export const LABEL_ANCHORS = {
+  center: [0.5, 0.5],
+  right: [0, 0.5],
+  left: [1, 0.5],
+  top: [0.5, 0],
+  bottom: [0.5, 1],
+  'top-right': [0, 0],
+  'top-left': [1, 0],
+  'bottom-right': [0, 1],
+  'bottom-left': [1, 1]
+};
+
+export const DEFAULT_LABEL_ANCHORS = ['right', 'left', 'top', 'bottom', 'top-right', 'bottom-right', 'top-left', 'bottom-left'];
+
+// Spatial hash cell size in pixels; roughly one short label wide.
+const GRID_CELL_PX = 64;
+
+function boxesOverlap(a, b) {
+  return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+}
+
+export class LabelPlacer {
+  constructor({ anchors = DEFAULT_LABEL_ANCHORS, paddingPx = 2, settleMs = 120, onPlace = null } = {}) {
+    this.anchors = anchors.filter((name) => LABEL_ANCHORS[name]);
+    if (this.anchors.length === 0) this.anchors = ['center'];
+    this.paddingPx = paddingPx;
+    this.settleMs = settleMs;
+    this.onPlace = typeof onPlace === 'function' ? onPlace : null;
+
+    // [{ sprite | position, priority, widthPx, heightPx }]
+    this.labels = [];
+
+    this.lastViewKey = null;
+    this.lastChangeMs = -Infinity;
+    this.dirty = true;
+
+    this.projected = new THREE.Vector3();
+  }
+
+  /**
+   * Replace the managed labels. `priority` sorts ascending (most important first).
+   */
+  setLabels(labels) {
+    this.labels = (Array.isArray(labels) ? labels : []).filter((label) => label?.sprite || label?.position);
+    this.invalidate();
+  }
+
+  // Place again on the next settled tick (e.g. after labels change).
+  invalidate() {
+    this.dirty = true;
+  }
+
+  // Accepts a label record or a sprite.
+  isPlaced(label) {
+    return label?.placed === true || label?.userData?.labelPlaced === true;
+  }
+
+  /**
+   * Call every frame; places labels once the view has been still for settleMs.
+   * Returns true when a placement ran.
+   */
+  tick(globeRenderer, nowMs = performance.now()) {
+    const cam = globeRenderer?.camera;
+    const vw = globeRenderer?.width || 0;
+    const vh = globeRenderer?.height || 0;
+    if (!cam || vw <= 1 || vh <= 1) return false;
+
+    const p = cam.position;
+    const viewKey = `${p.x.toFixed(5)},${p.y.toFixed(5)},${p.z.toFixed(5)},${cam.fov.toFixed(4)},${vw},${vh}`;
+    if (viewKey !== this.lastViewKey) {
+      this.lastViewKey = viewKey;
+      this.lastChangeMs = nowMs;
+      this.dirty = true;
+      return false;
+    }
+
+    if (!this.dirty || nowMs - this.lastChangeMs < this.settleMs) return false;
+
+    this.place(globeRenderer);
+    return true;
+  }
+
+  place(globeRenderer) {
+    this.dirty = false;
+
+    const cam = globeRenderer?.camera;
+    const vw = globeRenderer?.width || 0;
+    const vh = globeRenderer?.height || 0;
+    if (!cam) return;
+
+    cam.updateMatrixWorld();
+
+    const order = this.labels
+      .map((label, index) => ({ label, index }))
+      .sort((a, b) => (a.label.priority ?? 0) - (b.label.priority ?? 0) || a.index - b.index);
+
+    const grid = new Map();
+    const pad = this.paddingPx;
+
+    for (const { label } of order) {
+      const { sprite } = label;
+      const position = sprite ? sprite.position : label.position;
+      this.markPlaced(label, null);
+
+      if (horizonVisibility(position, cam.position) <= 0) continue;
+
+      const v = this.projected.copy(position).project(cam);
+      if (v.z > 1) continue;
+      const sx = (v.x + 1) * 0.5 * vw;
+      const sy = (1 - v.y) * 0.5 * vh;
+
+      const w = Number(label.widthPx) || 0;
+      const h = Number(label.heightPx) || 0;
+
+      for (const anchor of this.anchors) {
+        const [cx, cy] = LABEL_ANCHORS[anchor];
+        const box = {
+          left: sx - cx * w - pad,
+          right: sx + (1 - cx) * w + pad,
+          top: sy - (1 - cy) * h - pad,
+          bottom: sy + cy * h + pad
+        };
+
+        // Off-screen boxes neither collide nor need placing.
+        if (box.right < 0 || box.left > vw || box.bottom < 0 || box.top > vh) continue;
+        if (this.collides(grid, box)) continue;
+
+        this.insert(grid, box);
+        this.markPlaced(label, anchor);
+        break;
+      }
+    }
+
+    this.onPlace?.(this.labels);
+  }
+
+  markPlaced(label, anchor) {
+    const placed = anchor != null;
+    const center = placed ? LABEL_ANCHORS[anchor] : null;
+
+    if (label.sprite) {
+      label.sprite.userData.labelPlaced = placed;
+      label.sprite.userData.labelAnchor = anchor;
+      if (center) label.sprite.center.set(center[0], center[1]);
+      return;
+    }
+
+    label.placed = placed;
+    label.anchor = anchor;
+    if (center) label.center = center;
+  }
+
+  cellRange(box) {
+    return {
+      x0: Math.floor(box.left / GRID_CELL_PX),
+      x1: Math.floor(box.right / GRID_CELL_PX),
+      y0: Math.floor(box.top / GRID_CELL_PX),
+      y1: Math.floor(box.bottom / GRID_CELL_PX)
+    };
+  }
+
+  collides(grid, box) {
+    const { x0, x1, y0, y1 } = this.cellRange(box);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const cell = grid.get(`${x},${y}`);
+        if (cell && cell.some((other) => boxesOverlap(box, other))) return true;
+      }
+    }
+    return false;
+  }
+
+  insert(grid, box) {
+    const { x0, x1, y0, y1 } = this.cellRange(box);
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${x},${y}`;
+        const cell = grid.get(key);
+        if (cell) cell.push(box);
+        else grid.set(key, [box]);
+      }
+    }
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * MarkerBatch
+ *
+ * Point markers drawn as one instanced quad mesh, with a colour, on-screen
+ * size, rotation and interaction state per marker. Quads are billboarded and
+ * sized in screen pixels in the vertex shader (as LabelBatch), and markers
+ * behind the horizon are dropped there too.
+ *
+ * The icon is a single white-on-transparent texture tinted per marker; without
+ * one, markers draw as round dots.
+ */
+
+import * as THREE from 'three';
+import { DEFAULT_LIMB_FADE } from './horizon.js';
+
+export const MARKER_STATE = {
+  normal: 0,
+  hover: 1,
+  selected: 2
+};
+
+// Hovered/selected markers grow a little so the change reads at any size.
+const STATE_SCALE = [1, 1.25, 1.4];
+
+const vertexShader = `
+uniform vec2 viewport;
+uniform float horizonFade;
+uniform vec3 stateScale;
+
+attribute vec3 markerPosition;
+attribute vec3 markerColor;
+attribute float markerSize;
+attribute float markerRotation;
+attribute float markerState;
+
+varying vec2 vUv;
+varying vec3 vColor;
+varying float vAlpha;
+varying float vState;
+
+void main() {
+  vec4 world = modelMatrix * vec4( markerPosition, 1.0 );
+  float facing = dot( normalize( world.xyz ), normalize( cameraPosition - world.xyz ) );
+  vAlpha = horizonFade > 0.0 ? smoothstep( 0.0, horizonFade, facing ) : step( 0.0, facing );
+
+  vUv = position.xy + 0.5;
+  vColor = markerColor;
+  vState = markerState;
+
+  float scale = markerState > 1.5 ? stateScale.z : ( markerState > 0.5 ? stateScale.y : stateScale.x );
+  float c = cos( markerRotation );
+  float s = sin( markerRotation );
+  vec2 corner = mat2( c, s, -s, c ) * position.xy * markerSize * scale;
+
+  vec4 clip = projectionMatrix * viewMatrix * world;
+  clip.xy += corner * 2.0 / viewport * clip.w;
+
+  gl_Position = vAlpha > 0.0 && markerSize > 0.0 ? clip : vec4( 2.0, 2.0, 2.0, 1.0 );
+}
+`;
+
+const fragmentShader = `
+uniform sampler2D icon;
+uniform bool useIcon;
+uniform float opacity;
+uniform float alphaTest;
+
+varying vec2 vUv;
+varying vec3 vColor;
+varying float vAlpha;
+varying float vState;
+
+void main() {
+  float mask;
+  if ( useIcon ) {
+    mask = texture2D( icon, vUv ).a;
+  } else {
+    float d = length( vUv - 0.5 ) * 2.0;
+    mask = 1.0 - smoothstep( 0.8, 1.0, d );
+  }
+  if ( mask < alphaTest ) discard;
+
+  // Lift hovered/selected markers towards white.
+  vec3 color = mix( vColor, vec3( 1.0 ), vState > 0.5 ? 0.35 : 0.0 );
+  gl_FragColor = vec4( color, mask * opacity * vAlpha );
+  // Colours are linear (THREE.Color); convert to the renderer's output colour space.
+  #include <colorspace_fragment>
+}
+`;
+
+export class MarkerBatch {
+  constructor({ opacity = 0.9, alphaTest = 0.25, horizonFade = DEFAULT_LIMB_FADE, renderOrder = 0 } = {}) {
+    this.count = 0;
+    this.capacity = 0;
+
+    const quad = new THREE.PlaneGeometry(1, 1);
+    this.geometry = new THREE.InstancedBufferGeometry();
+    this.geometry.index = quad.index;
+    this.geometry.setAttribute('position', quad.getAttribute('position'));
+    this.geometry.instanceCount = 0;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        icon: { value: null },
+        useIcon: { value: false },
+        opacity: { value: opacity },
+        alphaTest: { value: alphaTest },
+        viewport: { value: new THREE.Vector2(1, 1) },
+        horizonFade: { value: horizonFade },
+        stateScale: { value: new THREE.Vector3(...STATE_SCALE) }
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthTest: true,
+      depthWrite: false
+    });
+
+    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = renderOrder;
+
+    const size = new THREE.Vector2();
+    this.mesh.onBeforeRender = (renderer) => {
+      renderer.getSize(size);
+      this.material.uniforms.viewport.value.copy(size);
+    };
+  }
+
+  setOpacity(opacity) {
+    this.material.uniforms.opacity.value = opacity;
+  }
+
+  setIcon(texture) {
+    this.material.uniforms.icon.value = texture || null;
+    this.material.uniforms.useIcon.value = Boolean(texture);
+  }
+
+  ensureCapacity(count) {
+    if (count <= this.capacity) return;
+
+    const capacity = Math.max(64, 2 ** Math.ceil(Math.log2(count)));
+    const attr = (itemSize) => new THREE.InstancedBufferAttribute(new Float32Array(capacity * itemSize), itemSize);
+    this.geometry.setAttribute('markerPosition', attr(3));
+    this.geometry.setAttribute('markerColor', attr(3));
+    this.geometry.setAttribute('markerSize', attr(1));
+    this.geometry.setAttribute('markerRotation', attr(1));
+    this.geometry.setAttribute('markerState', attr(1));
+    this.capacity = capacity;
+  }
+
+  /**
+   * Replace every marker. Each is { position, color (THREE.Color), sizePx, rotationRad }.
+   */
+  setMarkers(markers) {
+    const list = Array.isArray(markers) ? markers : [];
+    this.ensureCapacity(list.length);
+
+    const g = this.geometry;
+    const positions = g.getAttribute('markerPosition');
+    const colors = g.getAttribute('markerColor');
+    const sizes = g.getAttribute('markerSize');
+    const rotations = g.getAttribute('markerRotation');
+    const states = g.getAttribute('markerState');
+
+    list.forEach((marker, i) => {
+      const p = marker.position;
+      positions.setXYZ(i, p.x, p.y, p.z);
+      colors.setXYZ(i, marker.color.r, marker.color.g, marker.color.b);
+      sizes.setX(i, Math.max(0, Number(marker.sizePx) || 0));
+      rotations.setX(i, Number(marker.rotationRad) || 0);
+      states.setX(i, MARKER_STATE.normal);
+    });
+
+    for (const attribute of [positions, colors, sizes, rotations, states]) {
+      if (attribute) attribute.needsUpdate = true;
+    }
+
+    this.count = list.length;
+    g.instanceCount = list.length;
+  }
+
+  // Set one marker's MARKER_STATE (index as passed to setMarkers).
+  setState(index, state) {
+    if (index < 0 || index >= this.count) return;
+    const states = this.geometry.getAttribute('markerState');
+    states.setX(index, state);
+    states.needsUpdate = true;
+  }
+
+  clearStates() {
+    if (this.count === 0) return;
+    const states = this.geometry.getAttribute('markerState');
+    states.array.fill(MARKER_STATE.normal, 0, this.count);
+    states.needsUpdate = true;
+  }
+
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
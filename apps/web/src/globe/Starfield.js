@@ -62,6 +62,9 @@ export class Starfield {
 
     this.lastTwinkleCheckMs = null;
     this.activeTwinkle = null;
+
+    // prefers-reduced-motion: no automatic twinkles (manual sparkles still run).
+    this.reducedMotion = false;
   }
 
   init(globeRenderer) {
@@ -247,7 +250,7 @@ export class Starfield {
     if (nowMs - this.lastTwinkleCheckMs >= this.twinkleIntervalMs) {
       // Keep cadence stable
       this.lastTwinkleCheckMs += this.twinkleIntervalMs;
-      if (Math.random() < this.twinkleChance && !this.activeTwinkle) {
+      if (!this.reducedMotion && Math.random() < this.twinkleChance && !this.activeTwinkle) {
         this.startTwinkle(globeRenderer, nowMs);
       }
     }
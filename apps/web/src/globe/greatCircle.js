@@ -0,0 +1,103 @@
+/**
+ * Great-circle helpers shared by line-drawing layers.
+ *
+ * Long edges drawn as straight 3D chords cut through the globe, so edges are
+ * subdivided along great-circle arcs no longer than `maxSegmentRadians`.
+ */
+
+import { latLongToVector3 } from './latLong.js';
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function slerpUnit(a, b, omega, t) {
+  if (omega < 1e-6) {
+    return { x: a.x, y: a.y, z: a.z };
+  }
+
+  const sinOmega = Math.sin(omega);
+  if (sinOmega < 1e-6) {
+    // Fallback to linear interpolation + normalize
+    const x = a.x + (b.x - a.x) * t;
+    const y = a.y + (b.y - a.y) * t;
+    const z = a.z + (b.z - a.z) * t;
+    const invLen = 1 / Math.sqrt(x * x + y * y + z * z);
+    return { x: x * invLen, y: y * invLen, z: z * invLen };
+  }
+
+  const s0 = Math.sin((1 - t) * omega) / sinOmega;
+  const s1 = Math.sin(t * omega) / sinOmega;
+  return {
+    x: a.x * s0 + b.x * s1,
+    y: a.y * s0 + b.y * s1,
+    z: a.z * s0 + b.z * s1
+  };
+}
+
+/**
+ * LineSegments positions (pairs of xyz endpoints) for a [lon, lat] polyline,
+ * subdivided along great circles and scaled to `radius`.
+ * Appends to and returns `out`.
+ */
+export function pathToSegmentPositions(coords, radius, maxSegmentRadians, out = []) {
+  if (!Array.isArray(coords) || coords.length < 2) return out;
+
+  for (let i = 0; i < coords.length - 1; i++) {
+    const [lonA, latA] = coords[i];
+    const [lonB, latB] = coords[i + 1];
+
+    // Build arc on unit sphere, then scale slightly above globe radius.
+    const ua = latLongToVector3(latA, lonA, 1);
+    const ub = latLongToVector3(latB, lonB, 1);
+    const dot = clamp(ua.x * ub.x + ua.y * ub.y + ua.z * ub.z, -1, 1);
+    const omega = Math.acos(dot);
+
+    const steps = Math.max(1, Math.ceil(omega / maxSegmentRadians));
+    let p0 = ua;
+    for (let s = 1; s <= steps; s++) {
+      const p1 = s === steps ? ub : slerpUnit(ua, ub, omega, s / steps);
+      out.push(
+        p0.x * radius, p0.y * radius, p0.z * radius,
+        p1.x * radius, p1.y * radius, p1.z * radius
+      );
+      p0 = p1;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Same as pathToSegmentPositions, closing the ring first if needed.
+ */
+export function ringToSegmentPositions(coords, radius, maxSegmentRadians, out = []) {
+  if (!Array.isArray(coords) || coords.length < 2) return out;
+
+  const first = coords[0];
+  const last = coords[coords.length - 1];
+  const closed = first[0] !== last[0] || first[1] !== last[1] ? [...coords, first] : coords;
+
+  return pathToSegmentPositions(closed, radius, maxSegmentRadians, out);
+}
+
+/**
+ * Points along the great circle from a to b ({ lat, lon }) lifted into an arc:
+ * the height above `radius` peaks mid-way at `heightScale` x the arc's angle,
+ * so long routes rise higher than short hops. Returns [{ x, y, z }].
+ */
+export function elevatedArcPoints(a, b, { radius = 1, heightScale = 0.2, maxSegmentRadians = Math.PI / 180 } = {}) {
+  const ua = latLongToVector3(a.lat, a.lon, 1);
+  const ub = latLongToVector3(b.lat, b.lon, 1);
+  const omega = Math.acos(clamp(ua.x * ub.x + ua.y * ub.y + ua.z * ub.z, -1, 1));
+
+  const steps = Math.max(8, Math.ceil(omega / maxSegmentRadians));
+  const points = [];
+  for (let s = 0; s <= steps; s++) {
+    const t = s / steps;
+    const p = slerpUnit(ua, ub, omega, t);
+    const r = radius + heightScale * omega * Math.sin(Math.PI * t);
+    points.push({ x: p.x * r, y: p.y * r, z: p.z * r });
+  }
+  return points;
+}
@@ -0,0 +1,105 @@
+/**
+ * Horizon culling for overlays on the globe.
+ *
+ * An overlay at P faces the camera when the camera sits above P's tangent
+ * plane. Visibility is measured as the cosine between P's surface normal and
+ * the direction to the camera: 1 straight below the camera, 0 on the limb,
+ * negative on the far side. Overlays fade out over the last `fade` of that
+ * range so they don't pop or clip into the globe at the edge.
+ *
+ * - HorizonCuller: CPU-side, for sprites (hidden sprites skip the draw call).
+ * - applyHorizonFade: vertex-shader culling for PointsMaterial clouds.
+ *
+ * Both assume overlays sit in world space around a globe at the origin.
+ */
+
+import * as THREE from 'three';
+
+export const DEFAULT_LIMB_FADE = 0.15;
+
+/**
+ * 0 (behind the horizon) .. 1 (fully visible) for a world position.
+ */
+export function horizonVisibility(position, cameraPosition, fade = DEFAULT_LIMB_FADE) {
+  const len = Math.hypot(position.x, position.y, position.z);
+  const dx = cameraPosition.x - position.x;
+  const dy = cameraPosition.y - position.y;
+  const dz = cameraPosition.z - position.z;
+  const dist = Math.hypot(dx, dy, dz);
+  if (len === 0 || dist === 0) return 1;
+
+  const cos = (position.x * dx + position.y * dy + position.z * dz) / (len * dist);
+  if (cos <= 0) return 0;
+  if (fade <= 0 || cos >= fade) return 1;
+
+  const t = cos / fade;
+  return t * t * (3 - 2 * t);
+}
+
+export class HorizonCuller {
+  constructor({ fade = DEFAULT_LIMB_FADE } = {}) {
+    this.fade = fade;
+    this.cameraPosition = new THREE.Vector3();
+  }
+
+  // Call once per frame before testing positions.
+  update(camera) {
+    if (camera) this.cameraPosition.copy(camera.position);
+    return this;
+  }
+
+  visibility(position) {
+    return horizonVisibility(position, this.cameraPosition, this.fade);
+  }
+
+  /**
+   * Hide a sprite behind the horizon and fade it near the limb.
+   * Opacity is scaled from `userData.baseOpacity` (captured on first use).
+   * Returns true when the sprite is still visible.
+   */
+  applyToSprite(sprite) {
+    const material = sprite?.material;
+    if (!material) return false;
+
+    if (sprite.userData.baseOpacity == null) sprite.userData.baseOpacity = material.opacity;
+
+    const visibility = this.visibility(sprite.position);
+    sprite.visible = visibility > 0;
+    material.opacity = sprite.userData.baseOpacity * visibility;
+    return sprite.visible;
+  }
+}
+
+/**
+ * Patch a PointsMaterial so points behind the horizon are dropped in the
+ * vertex shader and points near the limb fade out. Returns the material.
+ */
+export function applyHorizonFade(material, { fade = DEFAULT_LIMB_FADE } = {}) {
+  if (!material) return material;
+
+  material.transparent = true;
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.horizonFade = { value: fade };
+
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', '#include <common>\nuniform float horizonFade;\nvarying float vHorizonAlpha;')
+      .replace(
+        '#include <project_vertex>',
+        [
+          '#include <project_vertex>',
+          'vec3 horizonWorld = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;',
+          'float horizonCos = dot( normalize( horizonWorld ), normalize( cameraPosition - horizonWorld ) );',
+          'vHorizonAlpha = horizonFade > 0.0 ? smoothstep( 0.0, horizonFade, horizonCos ) : step( 0.0, horizonCos );',
+          // Outside the clip volume: the point is discarded before rasterising.
+          'if ( vHorizonAlpha <= 0.0 ) gl_Position = vec4( 2.0, 2.0, 2.0, 1.0 );'
+        ].join('\n')
+      );
+
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vHorizonAlpha;')
+      .replace('#include <alphatest_fragment>', 'diffuseColor.a *= vHorizonAlpha;\n#include <alphatest_fragment>');
+  };
+  material.customProgramCacheKey = () => `horizon-fade:${fade}`;
+  material.needsUpdate = true;
+  return material;
+}
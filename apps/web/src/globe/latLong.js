@@ -19,3 +19,18 @@ export function latLongToVector3(lat, lon, radius) {
 
   return { x, y, z };
 }
+
+/**
+ * Inverse of latLongToVector3: 3D point (any radius) to { lat, lon } in degrees.
+ */
+export function vector3ToLatLong({ x, y, z }) {
+  const r = Math.sqrt(x * x + y * y + z * z) || 1;
+  const phi = Math.acos(Math.max(-1, Math.min(1, y / r)));
+  const theta = Math.atan2(z, -x);
+
+  const lat = 90 - phi * (180 / Math.PI);
+  let lon = theta * (180 / Math.PI) - 180;
+  if (lon < -180) lon += 360;
+
+  return { lat, lon };
+}
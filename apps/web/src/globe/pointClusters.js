@@ -0,0 +1,90 @@
+/**
+ * Greedy point clustering on the unit sphere.
+ *
+ * Points are visited in order (put the most important first); each point not
+ * yet claimed seeds a cluster and claims every unclaimed point within
+ * `radiusRad` of it. A 3D grid hash over the unit vectors keeps this roughly
+ * linear in the number of points. Chord length stands in for arc length,
+ * which is close enough at clustering distances.
+ */
+
+/**
+ * points: [{ lat, lon }] (extra fields are ignored).
+ * Returns [{ members: [index], lat, lon }] where lat/lon is the members' mean direction.
+ */
+export function clusterPoints(points, radiusRad, { order = null } = {}) {
+  const list = Array.isArray(points) ? points : [];
+  const visit = Array.isArray(order) ? order : list.map((_, i) => i);
+
+  if (!(radiusRad > 0)) {
+    return visit.map((i) => ({ members: [i], lat: list[i].lat, lon: list[i].lon }));
+  }
+
+  const cell = radiusRad;
+  const unit = list.map(({ lat, lon }) => {
+    const phi = (lat * Math.PI) / 180;
+    const lambda = (lon * Math.PI) / 180;
+    return [Math.cos(phi) * Math.cos(lambda), Math.cos(phi) * Math.sin(lambda), Math.sin(phi)];
+  });
+
+  const grid = new Map();
+  const keyOf = (x, y, z) => `${x},${y},${z}`;
+  unit.forEach(([x, y, z], i) => {
+    const key = keyOf(Math.floor(x / cell), Math.floor(y / cell), Math.floor(z / cell));
+    const bucket = grid.get(key);
+    if (bucket) bucket.push(i);
+    else grid.set(key, [i]);
+  });
+
+  const claimed = new Uint8Array(list.length);
+  const r2 = radiusRad * radiusRad;
+  const clusters = [];
+
+  for (const seed of visit) {
+    if (claimed[seed]) continue;
+    claimed[seed] = 1;
+
+    const [sx, sy, sz] = unit[seed];
+    const cx = Math.floor(sx / cell);
+    const cy = Math.floor(sy / cell);
+    const cz = Math.floor(sz / cell);
+
+    const members = [seed];
+    let mx = sx;
+    let my = sy;
+    let mz = sz;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const bucket = grid.get(keyOf(cx + dx, cy + dy, cz + dz));
+          if (!bucket) continue;
+          for (const i of bucket) {
+            if (claimed[i]) continue;
+            const [x, y, z] = unit[i];
+            if ((x - sx) ** 2 + (y - sy) ** 2 + (z - sz) ** 2 > r2) continue;
+            claimed[i] = 1;
+            members.push(i);
+            mx += x;
+            my += y;
+            mz += z;
+          }
+        }
+      }
+    }
+
+    if (members.length === 1) {
+      clusters.push({ members, lat: list[seed].lat, lon: list[seed].lon });
+      continue;
+    }
+
+    const len = Math.hypot(mx, my, mz) || 1;
+    clusters.push({
+      members,
+      lat: (Math.asin(Math.max(-1, Math.min(1, mz / len))) * 180) / Math.PI,
+      lon: (Math.atan2(my, mx) * 180) / Math.PI
+    });
+  }
+
+  return clusters;
+}
@@ -0,0 +1,44 @@
+/**
+ * Low-precision solar position (good to ~0.01° for 1950–2050, plenty for shading).
+ *
+ * Based on the Astronomical Almanac's "low precision formulas for the Sun".
+ */
+
+const DEG = Math.PI / 180;
+
+// Sun altitude (degrees) at which each twilight phase ends.
+export const TWILIGHT_DEPRESSION_DEG = {
+  civil: 6,
+  nautical: 12,
+  astronomical: 18
+};
+
+function wrapDegrees(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Point on Earth where the sun is directly overhead at `date`.
+ * Returns { lat, lon } in degrees (lon in [-180, 180)).
+ */
+export function subsolarPoint(date = new Date()) {
+  const ms = date instanceof Date ? date.getTime() : Number(date);
+  // Days since J2000.0 (2000-01-01 12:00 TT; UTC is close enough here).
+  const n = ms / 86_400_000 + 2440587.5 - 2451545.0;
+
+  const meanLon = wrapDegrees(280.46 + 0.9856474 * n);
+  const meanAnomaly = wrapDegrees(357.528 + 0.9856003 * n) * DEG;
+  const eclipticLon = (meanLon + 1.915 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly)) * DEG;
+  const obliquity = (23.439 - 0.0000004 * n) * DEG;
+
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLon));
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLon), Math.cos(eclipticLon));
+
+  // Greenwich mean sidereal time, in degrees.
+  const gmst = wrapDegrees(280.46061837 + 360.98564736629 * n);
+
+  let lon = wrapDegrees(rightAscension / DEG - gmst);
+  if (lon >= 180) lon -= 360;
+
+  return { lat: declination / DEG, lon };
+}
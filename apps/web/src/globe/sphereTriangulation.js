@@ -0,0 +1,121 @@
+/**
+ * Triangulate GeoJSON polygons onto the unit sphere.
+ *
+ * Rings are triangulated in lon/lat (earcut via THREE.ShapeUtils, which handles
+ * holes), then each triangle is subdivided until no edge spans more than
+ * `maxSegmentRadians`, so large polygons bend with the globe instead of
+ * cutting through it.
+ */
+
+import * as THREE from 'three';
+import { latLongToVector3 } from './latLong.js';
+
+// Guards against runaway subdivision on degenerate input (4^6 triangles max per face).
+const MAX_SUBDIVISION_DEPTH = 6;
+
+function angleBetween(a, b) {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  return Math.acos(Math.max(-1, Math.min(1, dot)));
+}
+
+function midpointUnit(a, b) {
+  const x = a.x + b.x;
+  const y = a.y + b.y;
+  const z = a.z + b.z;
+  const len = Math.sqrt(x * x + y * y + z * z) || 1;
+  return { x: x / len, y: y / len, z: z / len };
+}
+
+function emitTriangle(a, b, c, maxSegmentRadians, depth, out) {
+  const longest = Math.max(angleBetween(a, b), angleBetween(b, c), angleBetween(c, a));
+  if (longest <= maxSegmentRadians || depth >= MAX_SUBDIVISION_DEPTH) {
+    out.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+    return;
+  }
+
+  const ab = midpointUnit(a, b);
+  const bc = midpointUnit(b, c);
+  const ca = midpointUnit(c, a);
+  emitTriangle(a, ab, ca, maxSegmentRadians, depth + 1, out);
+  emitTriangle(ab, b, bc, maxSegmentRadians, depth + 1, out);
+  emitTriangle(ca, bc, c, maxSegmentRadians, depth + 1, out);
+  emitTriangle(ab, bc, ca, maxSegmentRadians, depth + 1, out);
+}
+
+// Drop the closing vertex; earcut expects open rings.
+function openRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return [];
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+}
+
+/**
+ * Triangles for one Polygon (outer ring + holes) as flat unit-sphere xyz,
+ * three vertices per triangle, counter-clockwise seen from outside the globe.
+ * Appends to and returns `out`.
+ */
+export function triangulatePolygonOnSphere(rings, maxSegmentRadians, out = []) {
+  if (!Array.isArray(rings) || rings.length === 0) return out;
+
+  const opened = rings.map(openRing).filter((ring) => ring.length >= 3);
+  if (opened.length === 0) return out;
+
+  // Polygons that straddle the antimeridian: unwrap west longitudes past 180°.
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+  for (const [lon] of opened[0]) {
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+  }
+  const unwrap = maxLon - minLon > 180;
+
+  const toVec2 = ([lon, lat]) => new THREE.Vector2(unwrap && lon < 0 ? lon + 360 : lon, lat);
+  const contour = opened[0].map(toVec2);
+  const holes = opened.slice(1).map((ring) => ring.map(toVec2));
+
+  let faces;
+  try {
+    faces = THREE.ShapeUtils.triangulateShape(contour, holes);
+  } catch (err) {
+    console.warn('triangulatePolygonOnSphere: triangulation failed', err);
+    return out;
+  }
+
+  // triangulateShape indexes into the contour followed by each hole.
+  const points = contour.concat(...holes);
+  const unit = points.map((p) => latLongToVector3(p.y, p.x, 1));
+
+  for (const [i0, i1, i2] of faces) {
+    const a = unit[i0];
+    let b = unit[i1];
+    let c = unit[i2];
+
+    // Face outward: (b - a) x (c - a) should point away from the centre.
+    const nx = (b.y - a.y) * (c.z - a.z) - (b.z - a.z) * (c.y - a.y);
+    const ny = (b.z - a.z) * (c.x - a.x) - (b.x - a.x) * (c.z - a.z);
+    const nz = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    if (nx * a.x + ny * a.y + nz * a.z < 0) [b, c] = [c, b];
+
+    emitTriangle(a, b, c, maxSegmentRadians, 0, out);
+  }
+
+  return out;
+}
+
+/**
+ * Triangles for a Polygon or MultiPolygon geometry; see triangulatePolygonOnSphere.
+ */
+export function triangulateGeometryOnSphere(geometry, maxSegmentRadians, out = []) {
+  if (!geometry?.coordinates) return out;
+
+  if (geometry.type === 'Polygon') {
+    triangulatePolygonOnSphere(geometry.coordinates, maxSegmentRadians, out);
+  } else if (geometry.type === 'MultiPolygon') {
+    for (const polygon of geometry.coordinates) {
+      triangulatePolygonOnSphere(polygon, maxSegmentRadians, out);
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { BaseLayer } from './BaseLayer.js';
+import { ArcBatch } from '../globe/ArcBatch.js';
+import { elevatedArcPoints } from '../globe/greatCircle.js';
+import { loadGeoData } from '../lib/geo.js';
+import { compileStyle, styleUsesZoom } from '../lib/style.js';
+
+/**
+ * ArcLayer
+ *
+ * Flows and routes between origin/destination pairs (flights, ferries,
+ * evacuation routes), drawn as great-circle arcs lifted off the globe:
+ * - Each route is { from, to, ...properties }; an endpoint is [lon, lat],
+ *   { lat, lon }, or a code looked up in `endpointsUrl` (GeoJSON points keyed
+ *   by `endpointKey`, e.g. IATA codes in airports.json)
+ * - Style keys (lib/style.js) are evaluated per route against its properties:
+ *   color, width (px), opacity, height (peak lift as a fraction of arc angle)
+ * - `flow` animates dashes from origin to destination each frame
+ *   (static dashes with reduced motion)
+ */
+
+const DEFAULT_FLOW = { dashLength: 0.03, gapLength: 0.02, speed: 0.04 };
+
+export class ArcLayer extends BaseLayer {
+  constructor(options = {}) {
+    const {
+      id = 'arcs',
+      name = 'Routes',
+      routes = [],
+      routesUrl = null,
+      endpointsUrl = null,
+      endpointKey = 'iata_code',
+      radius = 1.002,
+      maxSegmentDegrees = 1,
+      color = 0x39d5ff,
+      style = {},
+      // true or { dashLength, gapLength (world units), speed (units/s) }; null for solid arcs.
+      flow = null,
+      tooltip = null
+    } = options;
+
+    super(id, name);
+    this.tooltipFn = typeof tooltip === 'function' ? tooltip : null;
+
+    this.routesUrl = routesUrl;
+    this.endpointsUrl = endpointsUrl;
+    this.endpointKey = endpointKey;
+    this.radius = radius;
+    this.maxSegmentRadians = (maxSegmentDegrees * Math.PI) / 180;
+
+    this.routes = Array.isArray(routes) ? routes : [];
+    this.routesPromise = null;
+    // Upper-cased endpoint code -> { lat, lon }.
+    this.endpoints = null;
+    this.endpointsPromise = null;
+    this.arcCount = 0;
+
+    this.styleDefaults = { color, width: 2, opacity: 0.85, height: 0.2 };
+    this.style = compileStyle(style, this.styleDefaults);
+    this.zoom = 1;
+
+    this.flow = flow ? { ...DEFAULT_FLOW, ...(flow === true ? {} : flow) } : null;
+    this.arcs = new ArcBatch({ renderOrder: 2 });
+    if (this.flow) this.arcs.setDash(this.flow);
+
+    this._globe = null;
+    this._removeTick = null;
+  }
+
+  enable(globeRenderer) {
+    super.enable(globeRenderer);
+    this._globe = globeRenderer;
+    this.zoom = globeRenderer?.controls?.getZoomFactor?.() || this.zoom;
+
+    const statusToken = globeRenderer?.setStatus?.(`Loading ${this.name}…`);
+
+    return Promise.all([this.ensureRoutesLoaded(), this.ensureEndpointsLoaded()])
+      .then(() => {
+        if (!this.enabled) return;
+
+        globeRenderer.addObject(this.arcs.mesh, this.id);
+        this.objects = [this.arcs.mesh];
+        this.rebuildArcs();
+
+        if (this.flow) {
+          this._removeTick = globeRenderer.addTickHandler(({ nowMs }) => {
+            this.arcs.setTime(globeRenderer.reducedMotion ? 0 : nowMs / 1000);
+          });
+        }
+
+        globeRenderer?.clearStatus?.(statusToken);
+      })
+      .catch((err) => {
+        console.warn(`ArcLayer failed to load ${this.name}`, err);
+
+        globeRenderer?.clearStatus?.(statusToken);
+        globeRenderer?.setStatus?.(`Failed to load ${this.name}`, { ttlMs: 6000 });
+        throw err;
+      });
+  }
+
+  disable(globeRenderer) {
+    super.disable(globeRenderer);
+    this._removeTick?.();
+    this._removeTick = null;
+    this.objects.forEach((obj) => globeRenderer.removeObject(obj));
+    this.objects = [];
+    this.arcs.setArcs([]);
+    this._globe = null;
+  }
+
+  refresh(globeRenderer) {
+    if (this.routesUrl) {
+      this.routes = [];
+      this.routesPromise = null;
+    }
+    this.endpoints = null;
+    this.endpointsPromise = null;
+
+    if (this.enabled) {
+      this.disable(globeRenderer);
+      return this.enable(globeRenderer);
+    }
+  }
+
+  /**
+   * Replace the routes: [{ from, to, ...properties }].
+   */
+  setRoutes(routes) {
+    this.routes = Array.isArray(routes) ? routes : [];
+    this.rebuildArcs();
+    if (this.enabled) this.notifyDataUpdated({ routes: this.routes.length });
+  }
+
+  setStyle(style) {
+    this.style = compileStyle(style, this.styleDefaults);
+    this.rebuildArcs();
+  }
+
+  // Per-route opacity is baked into the arc vertices, so fading rebuilds them.
+  applyOpacity() {
+    this.rebuildArcs();
+  }
+
+  // Routes drawn; those with unknown endpoints are left out.
+  getFeatureCount() {
+    return this.enabled ? this.arcCount : null;
+  }
+
+  updateForZoom(zoomFactor) {
+    const z = Number(zoomFactor) || 1;
+    if (z === this.zoom) return;
+    this.zoom = z;
+    if (styleUsesZoom(this.style)) this.rebuildArcs();
+  }
+
+  rebuildArcs() {
+    if (!this.enabled || this.objects.length === 0) return;
+
+    const arcs = [];
+    let skipped = 0;
+    for (const route of this.routes) {
+      const from = this.resolveEndpoint(route?.from);
+      const to = this.resolveEndpoint(route?.to);
+      if (!from || !to) {
+        skipped++;
+        continue;
+      }
+
+      const feature = { type: 'Feature', properties: route };
+      arcs.push({
+        points: elevatedArcPoints(from, to, {
+          radius: this.radius,
+          heightScale: Number(this.styleValue('height', feature)) || 0,
+          maxSegmentRadians: this.maxSegmentRadians
+        }),
+        color: new THREE.Color(this.styleValue('color', feature) ?? 0xffffff),
+        widthPx: Number(this.styleValue('width', feature)) || 0,
+        opacity: Number(this.styleValue('opacity', feature) ?? 1) * this.opacity
+      });
+    }
+
+    if (skipped > 0) console.warn(`ArcLayer: ${skipped} routes in ${this.name} have unknown endpoints`);
+    this.arcs.setArcs(arcs);
+    this.arcCount = arcs.length;
+  }
+
+  styleValue(key, feature) {
+    try {
+      return this.style[key]?.(feature, this.zoom);
+    } catch (err) {
+      console.warn(`ArcLayer: style.${key} failed`, err);
+      return this.styleDefaults[key];
+    }
+  }
+
+  resolveEndpoint(value) {
+    if (Array.isArray(value)) {
+      const [lon, lat] = value;
+      return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+    }
+    if (value && typeof value === 'object') {
+      const { lat, lon } = value;
+      return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+    }
+    if (typeof value === 'string') return this.endpoints?.get(value.trim().toUpperCase()) || null;
+    return null;
+  }
+
+  ensureRoutesLoaded() {
+    if (!this.routesUrl || this.routes.length > 0) return Promise.resolve(this.routes);
+    if (this.routesPromise) return this.routesPromise;
+
+    return this.cacheLoad('routesPromise', fetch(this.routesUrl)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to fetch ${this.routesUrl}: ${res.status}`);
+        return res.json();
+      })
+      .then((parsed) => {
+        this.routes = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.routes) ? parsed.routes : [];
+        return this.routes;
+      }));
+  }
+
+  ensureEndpointsLoaded() {
+    if (!this.endpointsUrl) return Promise.resolve(null);
+    if (this.endpoints) return Promise.resolve(this.endpoints);
+    if (this.endpointsPromise) return this.endpointsPromise;
+
+    return this.cacheLoad('endpointsPromise', fetch(this.endpointsUrl)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to fetch ${this.endpointsUrl}: ${res.status}`);
+        return res.json();
+      })
+      .then((parsed) => {
+        const endpoints = new Map();
+        for (const feature of loadGeoData(parsed)?.features || []) {
+          const code = feature?.properties?.[this.endpointKey];
+          const [lon, lat] = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : [];
+          if (code == null || !Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+          endpoints.set(String(code).trim().toUpperCase(), { lat, lon });
+        }
+        this.endpoints = endpoints;
+        return endpoints;
+      }));
+  }
+}
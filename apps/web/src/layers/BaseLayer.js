@@ -16,12 +16,23 @@
  * - Know about other layers
  */
 
+import { featureName } from '../lib/geo.js';
+
 export class BaseLayer {
   constructor(id, name) {
     this.id = id;
     this.name = name;
     this.enabled = false;
     this.objects = [];
+
+    // Optional (feature) => string used for hover tooltips; set from layer options.
+    this.tooltipFn = null;
+
+    // Set by LayerManager; see notifyDataUpdated().
+    this.onDataUpdated = null;
+
+    // Layer-wide opacity (0..1) set from the layers panel, on top of the layer's own style.
+    this.opacity = 1;
   }
 
   /**
@@ -33,6 +44,8 @@ export class BaseLayer {
   /**
    * Enable the layer.
    * Create objects and add them to the renderer.
+   * Layers that load data return a promise that resolves once they are shown
+   * and rejects if loading failed; LayerManager tracks readiness from it.
    */
   enable(globeRenderer) {
     this.enabled = true;
@@ -48,10 +61,69 @@ export class BaseLayer {
 
   /**
    * Refresh the layer’s data.
-   * Called manually by the user.
+   * Called manually by the user. May return a promise, as enable() does.
    */
   refresh(globeRenderer) {}
 
+  /**
+   * Tell listeners the layer's data changed while it is shown (new points,
+   * a new schedule, ...), outside of enable/refresh.
+   */
+  notifyDataUpdated(detail = null) {
+    if (typeof this.onDataUpdated === 'function') this.onDataUpdated(detail);
+  }
+
+  /**
+   * Keep a load promise on `this[key]` until it settles. A failed load is
+   * dropped again, so a retry (refresh or re-enable) fetches instead of
+   * replaying the error.
+   */
+  cacheLoad(key, promise) {
+    const cached = promise.catch((err) => {
+      if (this[key] === cached) this[key] = null;
+      throw err;
+    });
+    this[key] = cached;
+    return cached;
+  }
+
+  setOpacity(opacity) {
+    const value = Number(opacity);
+    if (!Number.isFinite(value)) return;
+    this.opacity = Math.max(0, Math.min(1, value));
+    this.applyOpacity();
+  }
+
+  /**
+   * Push `this.opacity` into the layer's materials, scaling whatever opacity
+   * the layer's style gives them. Layers with something to fade override this.
+   */
+  applyOpacity() {}
+
+  /**
+   * Features a keyboard user can cycle through while the layer is shown.
+   * Returns [{ key, name, lat, lon, feature }]; layers without named features return [].
+   */
+  getFocusableFeatures() {
+    return [];
+  }
+
+  /**
+   * How many features the layer is showing, for the layers panel; null when
+   * the layer has no countable features or nothing is loaded.
+   */
+  getFeatureCount() {
+    return null;
+  }
+
+  /**
+   * One-line description of a feature for tooltips.
+   */
+  describeFeature(feature) {
+    if (this.tooltipFn) return this.tooltipFn(feature);
+    return featureName(feature);
+  }
+
   /**
    * Cleanup resources if the layer is destroyed.
    */
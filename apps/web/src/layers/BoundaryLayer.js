@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { BaseLayer } from './BaseLayer.js';
-import { latLongToVector3 } from '../globe/latLong.js';
+import { ringToSegmentPositions } from '../globe/greatCircle.js';
+import { triangulateGeometryOnSphere } from '../globe/sphereTriangulation.js';
+import { featureAnchor, featureId, featureName } from '../lib/geo.js';
+import { compileStyle, compileStyleValue } from '../lib/style.js';
 
 /**
  * BoundaryLayer
@@ -8,16 +11,54 @@ import { latLongToVector3 } from '../globe/latLong.js';
  * Renders country and region boundaries as:
  * - Lines or thin meshes
  * - Slightly above the globe surface
+ * - Optionally filled (choropleth), coloured per feature by `fillColor`
  *
  * Data source:
  * - Bundled GeoJSON (offline)
  *
  * Rendering rules:
- * - No transparency
+ * - Outlines are opaque; fills are translucent so the globe reads through
  * - Calm, low-contrast colours
  * - No animation
+ *
+ * Modes: 'outline' (default), 'fill', or 'both'.
+ *
+ * Style (`style` option, see lib/style.js): lineColor, lineOpacity and
+ * fillOpacity apply to the whole layer (zoom expressions allowed); fillColor
+ * is evaluated per feature. `color` / `fillColor` / `fillOpacity` options are
+ * the defaults.
  */
 
+const LINE_RADIUS = 1.002;
+const FILL_RADIUS = 1.0006;
+
+// Cap per merged line buffer (~12 MB of positions).
+const MAX_CHUNK_VERTICES = 1_000_000;
+
+// A finer LOD level is kept until the zoom drops this factor below its minZoom,
+// so zooming around a threshold doesn't rebuild the lines back and forth.
+const LOD_HYSTERESIS = 1.1;
+
+// Line level of detail by camera zoom factor. minArea is the Visvalingam
+// threshold in square degrees (0 = full detail); finer great-circle
+// subdivision only matters once zoomed in.
+export const DEFAULT_LOD_LEVELS = [
+  { minZoom: 0, minArea: 1e-3, maxSegmentDegrees: 3 },
+  { minZoom: 2, minArea: 1e-4, maxSegmentDegrees: 2 },
+  { minZoom: 5, minArea: 1e-5, maxSegmentDegrees: 1 },
+  { minZoom: 12, minArea: 0, maxSegmentDegrees: 0.5 }
+];
+
+function toColor(value) {
+  if (value == null || value === false) return null;
+  if (value instanceof THREE.Color) return value;
+  try {
+    return new THREE.Color(value);
+  } catch {
+    return null;
+  }
+}
+
 export class BoundaryLayer extends BaseLayer {
   constructor(options = {}) {
     const {
@@ -26,42 +67,87 @@ export class BoundaryLayer extends BaseLayer {
       dataUrl = '/src/data/uk-boundaries.json',
       data = null,
       color = 0x737373,
-      maxSegmentDegrees = 2
+      maxSegmentDegrees = 2,
+      // false/null: one full-detail level at maxSegmentDegrees
+      lodLevels = DEFAULT_LOD_LEVELS,
+      tooltip = null,
+      mode = 'outline',
+      // number | string | (feature) => colour | style expression; null leaves a feature unfilled
+      fillColor = null,
+      fillOpacity = 0.55,
+      style = {}
     } = options;
 
     super(id, name);
+    this.tooltipFn = typeof tooltip === 'function' ? tooltip : null;
     this.dataUrl = dataUrl;
     this.boundaryData = data;
     this.dataPromise = null;
+    this.focusableFeatures = null;
     this.lineGeometries = [];
+    // feature -> { chunk, start, count } vertex range within lineGeometries[chunk]
+    this.lineRanges = new Map();
+    this.lineVisibility = null;
     this.material = new THREE.LineBasicMaterial({ color });
 
+    this.mode = mode;
+    this.fillMaterial = new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      opacity: fillOpacity,
+      depthWrite: false
+    });
+
+    // Camera zoom factor that zoom-dependent style values were last evaluated at.
+    this.zoom = 1;
+    this.styleDefaults = { lineColor: color, lineOpacity: 1, fillColor, fillOpacity };
+    this.style = compileStyle(style, this.styleDefaults);
+    // Style opacities, before the layer opacity (applyOpacity) scales them.
+    this.lineOpacity = 1;
+    this.fillOpacity = fillOpacity;
+    this.applyLayerStyle();
+    this.fillMesh = null;
+    // [{ feature, start, count }] vertex ranges in the fill mesh, for recolouring in place.
+    this.fillRanges = [];
+    this._globe = null;
+
     // Large line segments drawn as straight 3D chords will cut through the globe.
     // To keep outlines on the surface, we subdivide edges along great-circle arcs.
+    this.maxSegmentDegrees = maxSegmentDegrees;
     this.maxSegmentRadians = (maxSegmentDegrees * Math.PI) / 180;
+
+    this.lodLevels = Array.isArray(lodLevels) && lodLevels.length > 0
+      ? lodLevels
+      : [{ minZoom: 0, minArea: 0, maxSegmentDegrees }];
+    this.lodIndex = 0;
+    this.applyLodSegments();
+
+    // Line chunks per LOD level, built by the geometry worker alongside the data:
+    // { source, radius, levels: [{ chunks: Float32Array[], ranges: Map(feature -> { chunk, start, count }) }] }
+    this.prebuiltLines = null;
   }
 
   init(globeRenderer) {
     // Optional eager build if data was provided directly.
     if (this.boundaryData) {
-      this.lineGeometries = this.buildLineGeometries(this.boundaryData, 1.002);
+      this.lineGeometries = this.buildLineGeometries(this.boundaryData, LINE_RADIUS);
     }
   }
 
   enable(globeRenderer) {
     super.enable(globeRenderer);
+    this._globe = globeRenderer;
+
+    const zoomFactor = globeRenderer?.controls?.getZoomFactor?.();
+    if (zoomFactor) this.updateForZoom(zoomFactor);
 
     const statusToken = globeRenderer?.setStatus?.(`Loading ${this.name}…`);
-    this.ensureDataLoaded()
+    return this.ensureDataLoaded(globeRenderer)
       .then(() => {
         if (!this.enabled) return;
 
-        this.lineGeometries = this.buildLineGeometries(this.boundaryData, 1.002);
-        this.objects = this.lineGeometries.map((geometry) => {
-          const lines = new THREE.LineSegments(geometry, this.material);
-          globeRenderer.addObject(lines);
-          return lines;
-        });
+        this.buildObjects(globeRenderer);
+        globeRenderer?.picker?.register(this, { polygons: this.getRenderedFeatures(this.boundaryData) });
 
         globeRenderer?.clearStatus?.(statusToken);
       })
@@ -70,34 +156,293 @@ export class BoundaryLayer extends BaseLayer {
 
         globeRenderer?.clearStatus?.(statusToken);
         globeRenderer?.setStatus?.(`Failed to load ${this.name}`, { ttlMs: 5000 });
+        throw err;
       });
   }
 
   disable(globeRenderer) {
     super.disable(globeRenderer);
+    this.removeObjects(globeRenderer);
+    globeRenderer?.picker?.unregister(this.id);
+    this._globe = null;
+  }
+
+  buildObjects(globeRenderer) {
+    this.removeObjects(globeRenderer);
+
+    if (this.mode === 'fill' || this.mode === 'both') {
+      this.fillMesh = this.buildFillMesh(this.getRenderedFeatures(this.boundaryData), FILL_RADIUS);
+      if (this.fillMesh) {
+        globeRenderer.addObject(this.fillMesh, this.id);
+        this.objects.push(this.fillMesh);
+      }
+    }
+
+    if (this.mode !== 'fill') this.addLineObjects(globeRenderer);
+  }
+
+  addLineObjects(globeRenderer) {
+    this.lineGeometries = this.buildLineGeometries(this.boundaryData, LINE_RADIUS);
+    for (const geometry of this.lineGeometries) {
+      const lines = new THREE.LineSegments(geometry, this.material);
+      globeRenderer.addObject(lines, this.id);
+      this.objects.push(lines);
+    }
+  }
+
+  // Swap just the outlines (e.g. for a new LOD level), leaving any fill in place.
+  rebuildLines(globeRenderer) {
+    for (const obj of this.objects) {
+      if (obj.isLineSegments) globeRenderer.removeObject(obj);
+    }
+    this.objects = this.objects.filter((obj) => !obj.isLineSegments);
+    for (const geometry of this.lineGeometries) geometry.dispose();
+
+    this.addLineObjects(globeRenderer);
+  }
+
+  /**
+   * Pick the LOD level for the camera zoom factor (CameraController.getZoomFactor()).
+   */
+  updateForZoom(zoomFactor) {
+    const z = Number(zoomFactor) || 1;
+    this.applyZoomStyle(z);
+
+    let index = 0;
+    this.lodLevels.forEach((level, i) => {
+      const minZoom = level.minZoom ?? 0;
+      if (z >= (i <= this.lodIndex ? minZoom / LOD_HYSTERESIS : minZoom)) index = i;
+    });
+    if (index === this.lodIndex) return;
+
+    this.lodIndex = index;
+    this.applyLodSegments();
+
+    if (this.enabled && this._globe && this.boundaryData && this.mode !== 'fill') {
+      this.rebuildLines(this._globe);
+    }
+  }
+
+  // Outline subdivision follows the LOD level (fills keep the layer's maxSegmentDegrees).
+  applyLodSegments() {
+    const degrees = this.lodLevels[this.lodIndex]?.maxSegmentDegrees ?? this.maxSegmentDegrees;
+    this.maxSegmentRadians = (degrees * Math.PI) / 180;
+  }
+
+  removeObjects(globeRenderer) {
     this.objects.forEach((obj) => globeRenderer.removeObject(obj));
     this.objects = [];
+
+    for (const geometry of this.lineGeometries) geometry.dispose();
+
+    this.fillMesh?.geometry?.dispose?.();
+    this.fillMesh = null;
+    this.fillRanges = [];
+  }
+
+  /**
+   * Switch between 'outline', 'fill' and 'both'; rebuilds in place when shown.
+   */
+  setMode(mode) {
+    if (!['outline', 'fill', 'both'].includes(mode) || mode === this.mode) return;
+    this.mode = mode;
+    if (this.enabled && this._globe && this.boundaryData) this.buildObjects(this._globe);
+  }
+
+  /**
+   * Replace the style spec (keys missing from `style` fall back to the constructor options).
+   */
+  setStyle(style) {
+    this.style = compileStyle(style, this.styleDefaults);
+    this.applyLayerStyle();
+    this.updateFillColors();
+  }
+
+  applyLayerStyle() {
+    const lineColor = toColor(this.evaluateStyle('lineColor', null));
+    if (lineColor) this.material.color.copy(lineColor);
+
+    const lineOpacity = Number(this.evaluateStyle('lineOpacity', null));
+    if (Number.isFinite(lineOpacity)) this.lineOpacity = Math.max(0, Math.min(1, lineOpacity));
+
+    this.setFillOpacity(Number(this.evaluateStyle('fillOpacity', null)));
+  }
+
+  applyOpacity() {
+    this.material.opacity = this.lineOpacity * this.opacity;
+    this.material.transparent = this.material.opacity < 1;
+    this.fillMaterial.opacity = this.fillOpacity * this.opacity;
+  }
+
+  applyZoomStyle(zoom) {
+    if (zoom === this.zoom) return;
+    this.zoom = zoom;
+
+    const { lineColor, lineOpacity, fillOpacity, fillColor } = this.style;
+    if (lineColor?.zoomDependent || lineOpacity?.zoomDependent || fillOpacity?.zoomDependent) {
+      this.applyLayerStyle();
+    }
+    if (fillColor?.zoomDependent) this.updateFillColors();
+  }
+
+  evaluateStyle(key, feature) {
+    try {
+      return this.style[key]?.(feature, this.zoom);
+    } catch (err) {
+      console.warn(`BoundaryLayer ${this.id}: style.${key} failed`, err);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the fill colour rule and recolour without re-triangulating.
+   * Call updateFillColors() instead when only the underlying data changed.
+   */
+  setFillColor(fillColor) {
+    this.style.fillColor = compileStyleValue(fillColor);
+    this.updateFillColors();
+  }
+
+  setFillOpacity(opacity) {
+    if (!Number.isFinite(opacity)) return;
+    this.fillOpacity = Math.max(0, Math.min(1, opacity));
+    this.applyOpacity();
+  }
+
+  fillColorFor(feature) {
+    try {
+      return toColor(this.style.fillColor?.(feature, this.zoom));
+    } catch (err) {
+      console.warn(`BoundaryLayer ${this.id}: fillColor failed`, err);
+      return null;
+    }
+  }
+
+  buildFillMesh(features, radius) {
+    const positions = [];
+    const ranges = [];
+
+    for (const feature of features) {
+      const start = positions.length / 3;
+      triangulateGeometryOnSphere(feature?.geometry, (this.maxSegmentDegrees * Math.PI) / 180, positions);
+      const count = positions.length / 3 - start;
+      if (count > 0) ranges.push({ feature, start, count });
+    }
+
+    if (positions.length === 0) return null;
+
+    for (let i = 0; i < positions.length; i++) positions[i] *= radius;
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    // RGBA so features without a colour can be left transparent.
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array((positions.length / 3) * 4), 4));
+
+    const mesh = new THREE.Mesh(geometry, this.fillMaterial);
+    // Before the day/night shell (-1) so night still darkens fills.
+    mesh.renderOrder = -2;
+
+    this.fillRanges = ranges;
+    this.fillMesh = mesh;
+    this.updateFillColors();
+    return mesh;
+  }
+
+  updateFillColors() {
+    const attr = this.fillMesh?.geometry?.getAttribute('color');
+    if (!attr) return;
+
+    const colors = attr.array;
+    for (const { feature, start, count } of this.fillRanges) {
+      const color = this.fillColorFor(feature);
+      const r = color ? color.r : 0;
+      const g = color ? color.g : 0;
+      const b = color ? color.b : 0;
+      const a = color ? 1 : 0;
+      for (let i = start * 4, end = (start + count) * 4; i < end; i += 4) {
+        colors[i] = r;
+        colors[i + 1] = g;
+        colors[i + 2] = b;
+        colors[i + 3] = a;
+      }
+    }
+
+    attr.needsUpdate = true;
   }
 
   refresh(globeRenderer) {
-    this.ensureDataLoaded()
+    return this.ensureDataLoaded(globeRenderer)
       .then(() => {
-        this.lineGeometries = this.buildLineGeometries(this.boundaryData, 1.002);
+        this.lineGeometries = this.buildLineGeometries(this.boundaryData, LINE_RADIUS);
         if (this.enabled) {
           this.disable(globeRenderer);
-          this.enable(globeRenderer);
+          return this.enable(globeRenderer);
         }
       })
       .catch((err) => {
         console.warn('BoundaryLayer refresh failed', err);
+        throw err;
       });
   }
 
-  ensureDataLoaded() {
+  getFocusableFeatures() {
+    if (!this.enabled || !this.boundaryData) return [];
+    if (this.focusableFeatures?.source === this.boundaryData) return this.focusableFeatures.items;
+
+    const items = [];
+    for (const feature of this.getRenderedFeatures(this.boundaryData)) {
+      const name = featureName(feature);
+      const anchor = name ? featureAnchor(feature) : null;
+      if (!anchor) continue;
+      items.push({ key: `${this.id}:${featureId(feature) || name}`, name, lat: anchor.lat, lon: anchor.lon, feature });
+    }
+
+    this.focusableFeatures = { source: this.boundaryData, items };
+    return items;
+  }
+
+  // Features that end up drawn; subclasses that filter override this.
+  getRenderedFeatures(geojson) {
+    return Array.isArray(geojson?.features) ? geojson.features : [];
+  }
+
+  /**
+   * Load (and convert) the boundary data once. With a geometry worker on the
+   * renderer, fetching, TopoJSON conversion and line subdivision all happen off
+   * the main thread and the line buffers arrive ready to upload.
+   */
+  ensureDataLoaded(globeRenderer = this._globe) {
     if (this.boundaryData) return Promise.resolve(this.boundaryData);
     if (this.dataPromise) return this.dataPromise;
 
-    this.dataPromise = fetch(this.dataUrl)
+    const worker = globeRenderer?.geometryWorker;
+    if (worker && this.dataUrl) {
+      return this.cacheLoad('dataPromise', worker
+        .loadBoundary(this.dataUrl, {
+          radius: LINE_RADIUS,
+          maxChunkVertices: MAX_CHUNK_VERTICES,
+          levels: this.lodLevels.map(({ minArea = 0, maxSegmentDegrees = this.maxSegmentDegrees }) => ({
+            minArea,
+            maxSegmentDegrees
+          }))
+        })
+        .then(({ geojson, levels }) => {
+          const features = Array.isArray(geojson?.features) ? geojson.features : [];
+          const prebuiltLevels = levels.map(({ chunks, ranges }) => {
+            const byFeature = new Map();
+            ranges.forEach((range, i) => {
+              if (range) byFeature.set(features[i], { chunk: range[0], start: range[1], count: range[2] });
+            });
+            return { chunks, ranges: byFeature };
+          });
+
+          this.prebuiltLines = { source: geojson, radius: LINE_RADIUS, levels: prebuiltLevels };
+          this.boundaryData = geojson;
+          return geojson;
+        }));
+    }
+
+    return this.cacheLoad('dataPromise', fetch(this.dataUrl)
       .then((res) => {
         if (!res.ok) {
           throw new Error(`Failed to fetch ${this.dataUrl}: ${res.status}`);
@@ -122,117 +467,161 @@ export class BoundaryLayer extends BaseLayer {
           this.boundaryData = json;
           return json;
         }
-      });
+      }));
+  }
 
-    return this.dataPromise;
+  getFeatureCount() {
+    return this.boundaryData ? this.getRenderedFeatures(this.boundaryData).length : null;
   }
 
+  /**
+   * Merged LineSegments geometry for all features: one geometry per chunk of at
+   * most MAX_CHUNK_VERTICES vertices (a feature never straddles chunks), instead
+   * of one object per ring. Per-feature vertex ranges go to `this.lineRanges`.
+   */
   buildLineGeometries(geojson, radius) {
+    this.lineRanges = new Map();
     if (!geojson || !Array.isArray(geojson.features)) return [];
 
+    const prebuilt = this.prebuiltLinesFor(radius);
+
+    // Whole dataset, already chunked by the worker: upload as-is.
+    if (prebuilt && geojson === prebuilt.source) {
+      this.lineRanges = new Map(prebuilt.ranges);
+      const geometries = prebuilt.chunks.map((chunk) => this.createLineChunk(chunk));
+      this.applyLineVisibility(geometries);
+      return geometries;
+    }
+
     const geometries = [];
+    let positions = [];
+
+    const flush = () => {
+      if (positions.length === 0) return;
+      geometries.push(this.createLineChunk(positions));
+      positions = [];
+    };
 
     for (const feature of geojson.features) {
-      const { geometry } = feature || {};
-      if (!geometry) continue;
-
-      if (geometry.type === 'Polygon') {
-        geometries.push(...this.createPolygonGeometry(geometry.coordinates, radius));
-      } else if (geometry.type === 'MultiPolygon') {
-        for (const poly of geometry.coordinates) {
-          geometries.push(...this.createPolygonGeometry(poly, radius));
-        }
-      }
+      const featurePositions =
+        this.prebuiltFeaturePositions(prebuilt, feature) || this.geometryToLinePositions(feature?.geometry, radius);
+      const count = featurePositions.length / 3;
+      if (count === 0) continue;
+
+      if (positions.length / 3 + count > MAX_CHUNK_VERTICES) flush();
+
+      this.lineRanges.set(feature, { chunk: geometries.length, start: positions.length / 3, count });
+      for (let i = 0; i < featurePositions.length; i++) positions.push(featurePositions[i]);
     }
+    flush();
 
+    this.applyLineVisibility(geometries);
     return geometries;
   }
 
-  createPolygonGeometry(rings, radius) {
-    const geometries = [];
-    for (const ring of rings) {
-      const positions = this.ringToLinePositions(ring, radius);
-      if (positions.length === 0) continue;
-
-      const geometry = new THREE.BufferGeometry();
-      geometry.setAttribute(
-        'position',
-        new THREE.Float32BufferAttribute(positions, 3)
-      );
-      geometries.push(geometry);
-    }
-    return geometries;
+  createLineChunk(positions) {
+    const array = positions instanceof Float32Array ? positions : new Float32Array(positions);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(array, 3));
+    return geometry;
   }
 
-  ringToLinePositions(coords, radius) {
-    if (!Array.isArray(coords) || coords.length < 2) return [];
+  prebuiltLinesFor(radius) {
+    const prebuilt = this.prebuiltLines;
+    if (!prebuilt || prebuilt.source !== this.boundaryData || prebuilt.radius !== radius) return null;
 
-    // Ensure the ring is closed
-    const closed = [...coords];
-    const first = coords[0];
-    const last = coords[coords.length - 1];
-    if (first[0] !== last[0] || first[1] !== last[1]) {
-      closed.push(first);
-    }
+    const level = prebuilt.levels[this.lodIndex] || prebuilt.levels[prebuilt.levels.length - 1];
+    return level ? { source: prebuilt.source, chunks: level.chunks, ranges: level.ranges } : null;
+  }
+
+  prebuiltFeaturePositions(prebuilt, feature) {
+    const range = prebuilt?.ranges.get(feature);
+    if (!range) return null;
+    return prebuilt.chunks[range.chunk].subarray(range.start * 3, (range.start + range.count) * 3);
+  }
 
+  geometryToLinePositions(geometry, radius) {
     const positions = [];
-    for (let i = 0; i < closed.length - 1; i++) {
-      const [lonA, latA] = closed[i];
-      const [lonB, latB] = closed[i + 1];
-
-      // Build arc on unit sphere, then scale slightly above globe radius.
-      const ua = this.latLonToUnitVector(latA, lonA);
-      const ub = this.latLonToUnitVector(latB, lonB);
-      const dot = this.clamp(ua.x * ub.x + ua.y * ub.y + ua.z * ub.z, -1, 1);
-      const omega = Math.acos(dot);
-
-      const steps = Math.max(1, Math.ceil(omega / this.maxSegmentRadians));
-      for (let s = 0; s < steps; s++) {
-        const t0 = s / steps;
-        const t1 = (s + 1) / steps;
-        const p0 = this.slerpUnit(ua, ub, omega, t0);
-        const p1 = this.slerpUnit(ua, ub, omega, t1);
-
-        positions.push(
-          p0.x * radius, p0.y * radius, p0.z * radius,
-          p1.x * radius, p1.y * radius, p1.z * radius
-        );
+    if (!geometry) return positions;
+
+    if (geometry.type === 'Polygon') {
+      this.polygonToLinePositions(geometry.coordinates, radius, positions);
+    } else if (geometry.type === 'MultiPolygon') {
+      for (const poly of geometry.coordinates) {
+        this.polygonToLinePositions(poly, radius, positions);
       }
     }
 
     return positions;
   }
 
-  latLonToUnitVector(lat, lon) {
-    // Same coordinate system as latLongToVector3, but unit radius.
-    return latLongToVector3(lat, lon, 1);
+  polygonToLinePositions(rings, radius, out = []) {
+    for (const ring of rings || []) {
+      ringToSegmentPositions(ring, radius, this.maxSegmentRadians, out);
+    }
+    return out;
+  }
+
+  ringToLinePositions(coords, radius) {
+    return ringToSegmentPositions(coords, radius, this.maxSegmentRadians);
+  }
+
+  /**
+   * Hide individual features without rebuilding geometry: only features for
+   * which `predicate(feature)` is truthy stay in the chunks' index buffers.
+   * Pass null to show everything.
+   */
+  setFeatureVisibility(predicate) {
+    this.lineVisibility = typeof predicate === 'function' ? predicate : null;
+    this.applyLineVisibility(this.lineGeometries);
   }
 
-  slerpUnit(a, b, omega, t) {
-    if (omega < 1e-6) {
-      return { x: a.x, y: a.y, z: a.z };
+  applyLineVisibility(geometries) {
+    if (!Array.isArray(geometries) || geometries.length === 0) return;
+
+    // No predicate: draw chunks unindexed.
+    if (!this.lineVisibility) {
+      for (const geometry of geometries) {
+        if (geometry.index) geometry.setIndex(null);
+      }
+      return;
     }
 
-    const sinOmega = Math.sin(omega);
-    if (sinOmega < 1e-6) {
-      // Fallback to linear interpolation + normalize
-      const x = a.x + (b.x - a.x) * t;
-      const y = a.y + (b.y - a.y) * t;
-      const z = a.z + (b.z - a.z) * t;
-      const invLen = 1 / Math.sqrt(x * x + y * y + z * z);
-      return { x: x * invLen, y: y * invLen, z: z * invLen };
+    const visibleByChunk = geometries.map(() => []);
+    for (const [feature, range] of this.lineRanges) {
+      let visible = true;
+      try {
+        visible = Boolean(this.lineVisibility(feature));
+      } catch {
+        visible = false;
+      }
+      if (visible) visibleByChunk[range.chunk]?.push(range);
     }
 
-    const s0 = Math.sin((1 - t) * omega) / sinOmega;
-    const s1 = Math.sin(t * omega) / sinOmega;
-    return {
-      x: a.x * s0 + b.x * s1,
-      y: a.y * s0 + b.y * s1,
-      z: a.z * s0 + b.z * s1
-    };
+    geometries.forEach((geometry, chunk) => {
+      const ranges = visibleByChunk[chunk];
+      const total = ranges.reduce((sum, range) => sum + range.count, 0);
+      const vertexCount = geometry.getAttribute('position').count;
+      const index = vertexCount > 65535 ? new Uint32Array(total) : new Uint16Array(total);
+
+      let offset = 0;
+      for (const { start, count } of ranges) {
+        for (let i = 0; i < count; i++) index[offset++] = start + i;
+      }
+      geometry.setIndex(new THREE.BufferAttribute(index, 1));
+    });
   }
 
-  clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
+  /**
+   * Line positions (xyz segment pairs) already built for one feature, e.g. for
+   * highlighting it; null when the feature isn't drawn.
+   */
+  getFeatureLinePositions(feature) {
+    const range = this.lineRanges?.get(feature);
+    const geometry = range ? this.lineGeometries[range.chunk] : null;
+    if (!geometry) return null;
+
+    const array = geometry.getAttribute('position').array;
+    return array.subarray(range.start * 3, (range.start + range.count) * 3);
   }
 }
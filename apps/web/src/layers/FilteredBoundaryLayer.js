@@ -13,18 +13,24 @@ export class FilteredBoundaryLayer extends BoundaryLayer {
 
     const filtered = {
       ...geojson,
-      features: geojson.features.filter((feature) => {
-        try {
-          return Boolean(this.filterFn(feature));
-        } catch {
-          return false;
-        }
-      })
+      features: this.getRenderedFeatures(geojson)
     };
 
     return super.buildLineGeometries(filtered, radius);
   }
 
+  getRenderedFeatures(geojson) {
+    const features = super.getRenderedFeatures(geojson);
+    if (!this.filterFn) return features;
+    return features.filter((feature) => {
+      try {
+        return Boolean(this.filterFn(feature));
+      } catch {
+        return false;
+      }
+    });
+  }
+
   setColor(hexColor) {
     if (typeof hexColor !== 'number' || !Number.isFinite(hexColor)) return;
     this.material.color.setHex(hexColor);
@@ -0,0 +1,422 @@
+import * as THREE from 'three';
+import { BaseLayer } from './BaseLayer.js';
+import { latLongToVector3, vector3ToLatLong } from '../globe/latLong.js';
+import { pathToSegmentPositions } from '../globe/greatCircle.js';
+import { HorizonCuller } from '../globe/horizon.js';
+
+/**
+ * GraticuleLayer
+ *
+ * Reference grid for orientation:
+ * - Lat/lon graticule whose spacing follows the zoom factor
+ *   (30° when zoomed out, down to 1° well past region zoom)
+ * - Equator, tropics and polar circles drawn as brighter reference lines
+ * - Degree labels for the meridians/parallels nearest the view centre
+ * - Optional nominal time-zone bands (alternate 15° bands shaded)
+ */
+
+// [minZoomFactor, stepDegrees]; the last entry whose zoom is reached wins.
+const GRID_STEPS = [
+  [0, 30],
+  [1.8, 15],
+  [3.5, 10],
+  [6, 5],
+  [12, 2],
+  [24, 1]
+];
+
+const TROPIC_DEG = 23.4365;
+const POLAR_CIRCLE_DEG = 66.5635;
+const REFERENCE_PARALLELS = [0, TROPIC_DEG, -TROPIC_DEG, POLAR_CIRCLE_DEG, -POLAR_CIRCLE_DEG];
+
+// Labels either side of the view centre, per axis.
+const LABELS_PER_SIDE = 6;
+
+const GRID_OPACITY = 0.8;
+const LABEL_OPACITY = 0.9;
+
+function stepForZoom(zoomFactor) {
+  const z = Number(zoomFactor) || 1;
+  let step = GRID_STEPS[0][1];
+  for (const [minZoom, candidate] of GRID_STEPS) {
+    if (z >= minZoom) step = candidate;
+  }
+  return step;
+}
+
+function formatLat(lat) {
+  if (lat === 0) return '0°';
+  return `${Math.abs(lat)}°${lat > 0 ? 'N' : 'S'}`;
+}
+
+function formatLon(lon) {
+  if (lon === 0 || Math.abs(lon) === 180) return `${Math.abs(lon)}°`;
+  return `${Math.abs(lon)}°${lon > 0 ? 'E' : 'W'}`;
+}
+
+function wrapLon(lon) {
+  let out = ((lon + 180) % 360 + 360) % 360 - 180;
+  if (out === -180) out = 180;
+  return out;
+}
+
+export class GraticuleLayer extends BaseLayer {
+  constructor(options = {}) {
+    const {
+      id = 'graticule',
+      name = 'Graticule',
+      // Below boundary lines (1.002) so borders stay on top.
+      radius = 1.0015,
+      labelRadius = 1.006,
+      color = 0x2f3d4a,
+      referenceColor = 0x5f86a8,
+      maxSegmentDegrees = 2,
+      showLabels = true,
+      timeZones = false,
+      timeZoneColor = 0x6ad4ff,
+      timeZoneOpacity = 0.06,
+      labelColor = 'rgba(150, 186, 214, 0.9)',
+      labelShadow = 'rgba(0,0,0,0.85)',
+      labelFontPx = 11
+    } = options;
+
+    super(id, name);
+
+    this.radius = radius;
+    this.labelRadius = labelRadius;
+    this.maxSegmentRadians = (maxSegmentDegrees * Math.PI) / 180;
+    this.showLabels = showLabels;
+    this.timeZones = timeZones;
+
+    this.labelColor = labelColor;
+    this.labelShadow = labelShadow;
+    this.labelFontPx = labelFontPx;
+
+    this.gridMaterial = new THREE.LineBasicMaterial({ color, transparent: true, opacity: GRID_OPACITY, depthWrite: false });
+    this.referenceMaterial = new THREE.LineBasicMaterial({ color: referenceColor });
+    this.timeZoneOpacity = timeZoneOpacity;
+    this.timeZoneMaterial = new THREE.MeshBasicMaterial({
+      color: timeZoneColor,
+      transparent: true,
+      opacity: timeZoneOpacity,
+      depthWrite: false,
+      side: THREE.FrontSide
+    });
+
+    this.step = stepForZoom(1);
+
+    this.gridLines = null;
+    this.referenceLines = null;
+    this.timeZoneGroup = null;
+
+    // 'lat:text' / 'lon:text' -> sprite; labels are reused as the view moves.
+    this.labelCache = new Map();
+    this.horizon = new HorizonCuller();
+    this.labelGroup = new THREE.Group();
+    this.labelAnchor = null;
+
+    this._globe = null;
+    this._removeTick = null;
+  }
+
+  enable(globeRenderer) {
+    super.enable(globeRenderer);
+    this._globe = globeRenderer;
+
+    this.referenceLines = new THREE.LineSegments(this.buildReferenceGeometry(), this.referenceMaterial);
+    this.objects.push(this.referenceLines);
+    globeRenderer.addObject(this.referenceLines, this.id);
+
+    this.rebuildGrid();
+    this.applyTimeZones();
+
+    globeRenderer.addObject(this.labelGroup, this.id);
+    this.labelAnchor = null;
+
+    this._removeTick?.();
+    this._removeTick = globeRenderer.addTickHandler(() => {
+      if (!this.enabled) return;
+      this.updateLabels();
+    });
+  }
+
+  disable(globeRenderer) {
+    super.disable(globeRenderer);
+
+    this._removeTick?.();
+    this._removeTick = null;
+
+    for (const obj of this.objects) globeRenderer.removeObject(obj);
+    this.objects = [];
+
+    if (this.gridLines) globeRenderer.removeObject(this.gridLines);
+    this.gridLines?.geometry?.dispose?.();
+    this.gridLines = null;
+
+    this.referenceLines?.geometry?.dispose?.();
+    this.referenceLines = null;
+
+    this.removeTimeZones();
+
+    globeRenderer.removeObject(this.labelGroup);
+    this.labelGroup.clear();
+    this.labelAnchor = null;
+
+    this._globe = null;
+  }
+
+  refresh(globeRenderer) {
+    if (!this.enabled) return;
+    this.disable(globeRenderer);
+    this.enable(globeRenderer);
+  }
+
+  destroy(globeRenderer) {
+    if (this.enabled) this.disable(globeRenderer);
+    for (const sprite of this.labelCache.values()) {
+      sprite.material?.map?.dispose?.();
+      sprite.material?.dispose?.();
+    }
+    this.labelCache.clear();
+    this.gridMaterial.dispose();
+    this.referenceMaterial.dispose();
+    this.timeZoneMaterial.dispose();
+  }
+
+  /**
+   * Pick grid spacing for the current zoom. Called from the camera change hook.
+   */
+  updateForZoom(zoomFactor) {
+    const step = stepForZoom(zoomFactor);
+    if (step === this.step) return;
+    this.step = step;
+
+    if (!this.enabled || !this._globe) return;
+    this.rebuildGrid();
+    this.labelAnchor = null;
+  }
+
+  // Labels fade from userData.baseOpacity (horizon culling), so cached ones are updated too.
+  applyOpacity() {
+    this.gridMaterial.opacity = GRID_OPACITY * this.opacity;
+    this.referenceMaterial.opacity = this.opacity;
+    this.referenceMaterial.transparent = this.opacity < 1;
+    this.timeZoneMaterial.opacity = this.timeZoneOpacity * this.opacity;
+    for (const sprite of this.labelCache.values()) sprite.userData.baseOpacity = LABEL_OPACITY * this.opacity;
+  }
+
+  setTimeZonesVisible(visible) {
+    this.timeZones = Boolean(visible);
+    if (this.enabled) this.applyTimeZones();
+  }
+
+  setLabelsVisible(visible) {
+    this.showLabels = Boolean(visible);
+    this.labelAnchor = null;
+    if (!this.showLabels) this.labelGroup.clear();
+  }
+
+  rebuildGrid() {
+    const globe = this._globe;
+    if (!globe) return;
+
+    if (this.gridLines) {
+      globe.removeObject(this.gridLines);
+      this.gridLines.geometry?.dispose?.();
+    }
+
+    this.gridLines = new THREE.LineSegments(this.buildGridGeometry(this.step), this.gridMaterial);
+    globe.addObject(this.gridLines, this.id);
+  }
+
+  buildGridGeometry(step) {
+    const positions = [];
+
+    // Meridians: pole to pole; great-circle subdivision keeps them on the surface.
+    for (let lon = -180; lon < 180; lon += step) {
+      pathToSegmentPositions([[lon, -90], [lon, 0], [lon, 90]], this.radius, this.maxSegmentRadians, positions);
+    }
+
+    // Parallels: sampled densely enough that the great-circle chords between samples hug the parallel.
+    const sampleDeg = Math.min(step, (this.maxSegmentRadians * 180) / Math.PI);
+    for (let lat = -90 + step; lat < 90; lat += step) {
+      if (lat === 0) continue; // drawn as a reference line
+      positions.push(...this.parallelPositions(lat, sampleDeg));
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+  }
+
+  buildReferenceGeometry() {
+    const positions = [];
+    const sampleDeg = (this.maxSegmentRadians * 180) / Math.PI;
+    for (const lat of REFERENCE_PARALLELS) {
+      positions.push(...this.parallelPositions(lat, sampleDeg));
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    return geometry;
+  }
+
+  parallelPositions(lat, sampleDeg) {
+    const coords = [];
+    const samples = Math.max(4, Math.ceil(360 / sampleDeg));
+    for (let i = 0; i <= samples; i++) {
+      coords.push([-180 + (360 * i) / samples, lat]);
+    }
+    return pathToSegmentPositions(coords, this.radius, this.maxSegmentRadians);
+  }
+
+  applyTimeZones() {
+    this.removeTimeZones();
+    if (!this.timeZones || !this._globe) return;
+
+    // Nominal zones: UTC±n spans n*15° ± 7.5°. Shade every other band (odd offsets).
+    const group = new THREE.Group();
+    for (let offset = -11; offset <= 12; offset += 2) {
+      const west = offset * 15 - 7.5;
+      // SphereGeometry's phi runs from lon -180°, matching latLongToVector3.
+      const geometry = new THREE.SphereGeometry(
+        this.radius - 0.0005,
+        8,
+        48,
+        ((west + 180) * Math.PI) / 180,
+        (15 * Math.PI) / 180
+      );
+      group.add(new THREE.Mesh(geometry, this.timeZoneMaterial));
+    }
+
+    this.timeZoneGroup = group;
+    this._globe.addObject(group, this.id);
+  }
+
+  removeTimeZones() {
+    if (!this.timeZoneGroup) return;
+    this._globe?.removeObject(this.timeZoneGroup);
+    for (const mesh of this.timeZoneGroup.children) mesh.geometry?.dispose?.();
+    this.timeZoneGroup = null;
+  }
+
+  updateLabels() {
+    const globe = this._globe;
+    const cam = globe?.camera;
+    if (!cam || !this.showLabels) return;
+
+    // Anchor labels on the grid line just off the view centre, so they sit in view.
+    const center = vector3ToLatLong(cam.position);
+    const step = this.step;
+    const edge = 90 - step / 2;
+    const anchorLat = Math.max(-edge, Math.min(edge, Math.round(center.lat / step) * step + step / 2));
+    const anchorLon = wrapLon(Math.round(center.lon / step) * step + step / 2);
+
+    const key = `${step}:${anchorLat}:${anchorLon}`;
+    if (key !== this.labelAnchor) {
+      this.labelAnchor = key;
+      this.placeLabels(anchorLat, anchorLon, step);
+    }
+
+    this.updateLabelScales();
+  }
+
+  placeLabels(anchorLat, anchorLon, step) {
+    this.labelGroup.clear();
+
+    const baseLon = anchorLon - step / 2;
+    for (let i = -LABELS_PER_SIDE; i <= LABELS_PER_SIDE; i++) {
+      const lon = wrapLon(baseLon + i * step);
+      this.addLabel('lon', formatLon(lon), anchorLat, lon);
+    }
+
+    const baseLat = anchorLat - step / 2;
+    for (let i = -LABELS_PER_SIDE; i <= LABELS_PER_SIDE; i++) {
+      const lat = baseLat + i * step;
+      if (lat <= -90 || lat >= 90) continue;
+      this.addLabel('lat', formatLat(lat), lat, anchorLon);
+    }
+  }
+
+  addLabel(axis, text, lat, lon) {
+    const cacheKey = `${axis}:${text}`;
+    let sprite = this.labelCache.get(cacheKey);
+    if (!sprite) {
+      sprite = this.createTextSprite(text);
+      if (!sprite) return;
+      this.labelCache.set(cacheKey, sprite);
+    }
+
+    // A cached sprite can only sit in one place; the later placement wins.
+    const pos = latLongToVector3(lat, lon, this.labelRadius);
+    sprite.position.set(pos.x, pos.y, pos.z);
+    this.labelGroup.add(sprite);
+  }
+
+  createTextSprite(text) {
+    const scale = 2; // render at 2x for crispness
+    const fontPx = this.labelFontPx * scale;
+    const font = `500 ${fontPx}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", monospace`;
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+
+    ctx.font = font;
+    const padX = 4 * scale;
+    const textW = Math.ceil(ctx.measureText(text).width);
+
+    canvas.width = Math.max(16, textW + padX * 2);
+    canvas.height = (this.labelFontPx + 6) * scale;
+
+    // Re-apply font after resizing
+    ctx.font = font;
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 3 * scale;
+    ctx.strokeStyle = this.labelShadow;
+    ctx.fillStyle = this.labelColor;
+    ctx.strokeText(text, canvas.width / 2, canvas.height / 2);
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.generateMipmaps = false;
+
+    const material = new THREE.SpriteMaterial({
+      map: texture,
+      transparent: true,
+      opacity: LABEL_OPACITY,
+      depthTest: true,
+      depthWrite: false
+    });
+
+    const sprite = new THREE.Sprite(material);
+    sprite.frustumCulled = false;
+    sprite.userData.baseOpacity = LABEL_OPACITY * this.opacity;
+    sprite.userData.desiredPxW = canvas.width / scale;
+    sprite.userData.aspect = canvas.height / canvas.width;
+    return sprite;
+  }
+
+  // Keep labels a constant on-screen size (same approach as populated place labels).
+  updateLabelScales() {
+    const globe = this._globe;
+    const cam = globe?.camera;
+    const vw = globe?.width || 1;
+    if (!cam || vw <= 1) return;
+
+    const tanHalfFov = Math.tan((cam.fov * Math.PI) / 360);
+    this.horizon.update(cam);
+    for (const sprite of this.labelGroup.children) {
+      if (!this.horizon.applyToSprite(sprite)) continue;
+
+      const dist = cam.position.distanceTo(sprite.position);
+      const viewWidthWorld = 2 * dist * tanHalfFov * cam.aspect;
+      const worldW = viewWidthWorld * (sprite.userData.desiredPxW / vw);
+      sprite.scale.set(worldW, worldW * sprite.userData.aspect, 1);
+    }
+  }
+}
@@ -0,0 +1,402 @@
+import * as THREE from 'three';
+import { BaseLayer } from './BaseLayer.js';
+import { latLongToVector3 } from '../globe/latLong.js';
+import { featureAnchor, loadGeoData } from '../lib/geo.js';
+import { compileStyleValue } from '../lib/style.js';
+
+/**
+ * HeatmapLayer
+ *
+ * Density of weighted points (places by population, incident events, ...)
+ * drawn as a coloured overlay on the globe:
+ * - Points are splatted into an equirectangular grid over `bounds` with a
+ *   smooth kernel `radiusPx` screen pixels wide, so the blur reads the same
+ *   at any zoom; the grid is rebuilt in half-octave zoom steps
+ * - Density is normalised to the densest cell (or `maxWeight`), shaped by
+ *   `gamma` and mapped through `colorRamp` into a texture on a sphere patch
+ *
+ * Points come from `dataUrl` (GeoJSON/TopoJSON; non-point features use their
+ * anchor) or from setPoints([{ lat, lon, weight }]) for live event feeds.
+ * `weight` is a style value (lib/style.js), e.g. ['get', 'pop_max'].
+ */
+
+// [position 0..1, colour, opacity]
+export const DEFAULT_COLOR_RAMP = [
+  [0, '#00203a', 0],
+  [0.15, '#0066ff', 0.35],
+  [0.4, '#00e5ff', 0.6],
+  [0.65, '#76ff03', 0.75],
+  [0.85, '#ffea00', 0.85],
+  [1, '#ff3d00', 0.95]
+];
+
+const WORLD_BOUNDS = { minLat: -90, maxLat: 90, minLon: -180, maxLon: 180 };
+
+// Kernel reach is capped (in grid cells) so a huge radius can't stall the main thread.
+const MAX_KERNEL_CELLS = 96;
+
+const DEG_TO_RAD = Math.PI / 180;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// 256-entry RGBA lookup table from ramp stops.
+function buildRampLut(stops) {
+  const sorted = [...stops].sort((a, b) => a[0] - b[0]);
+  const colors = sorted.map(([, color]) => new THREE.Color(color).getHex());
+  const lut = new Uint8Array(256 * 4);
+
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    let hi = sorted.findIndex(([at]) => at >= t);
+    if (hi < 0) hi = sorted.length - 1;
+    const lo = Math.max(0, hi - 1);
+    const span = sorted[hi][0] - sorted[lo][0];
+    const f = span > 0 ? clamp((t - sorted[lo][0]) / span, 0, 1) : 1;
+
+    for (let c = 0; c < 3; c++) {
+      const shift = 16 - c * 8;
+      const a = (colors[lo] >> shift) & 0xff;
+      const b = (colors[hi] >> shift) & 0xff;
+      lut[i * 4 + c] = Math.round(a + (b - a) * f);
+    }
+    const alpha = (sorted[lo][2] ?? 1) + ((sorted[hi][2] ?? 1) - (sorted[lo][2] ?? 1)) * f;
+    lut[i * 4 + 3] = Math.round(clamp(alpha, 0, 1) * 255);
+  }
+
+  return lut;
+}
+
+export class HeatmapLayer extends BaseLayer {
+  constructor(options = {}) {
+    const {
+      id = 'heatmap',
+      name = 'Heatmap',
+      dataUrl = null,
+      points = null,
+      bounds = null,
+      filterFeature = null,
+      weight = 1,
+      radiusPx = 24,
+      resolution = 512,
+      colorRamp = DEFAULT_COLOR_RAMP,
+      gamma = 1,
+      maxWeight = null,
+      opacity = 0.85,
+      radius = 1.003
+    } = options;
+
+    super(id, name);
+
+    this.dataUrl = dataUrl;
+    this.bounds = bounds || WORLD_BOUNDS;
+    this.filterFeature = typeof filterFeature === 'function' ? filterFeature : null;
+    this.weight = compileStyleValue(weight);
+    this.radiusPx = radiusPx;
+    this.resolution = resolution;
+    this.gamma = gamma;
+    this.maxWeight = maxWeight;
+    this.radius = radius;
+    this.lut = buildRampLut(colorRamp);
+
+    this.geojson = null;
+    this.dataPromise = null;
+    // Caller-supplied points (setPoints); used instead of dataUrl when present.
+    this.sourcePoints = Array.isArray(points) ? points : null;
+    // [{ lat, lon, weight }] currently splatted.
+    this.points = [];
+
+    const latSpan = this.bounds.maxLat - this.bounds.minLat;
+    const lonSpan = this.bounds.maxLon - this.bounds.minLon;
+    this.gridWidth = lonSpan >= latSpan ? resolution : Math.max(2, Math.round((resolution * lonSpan) / latSpan));
+    this.gridHeight = latSpan >= lonSpan ? resolution : Math.max(2, Math.round((resolution * latSpan) / lonSpan));
+    this.wrapsLon = lonSpan >= 360;
+    this.density = new Float32Array(this.gridWidth * this.gridHeight);
+
+    this.texture = new THREE.DataTexture(
+      new Uint8Array(this.gridWidth * this.gridHeight * 4),
+      this.gridWidth,
+      this.gridHeight,
+      THREE.RGBAFormat
+    );
+    this.texture.colorSpace = THREE.SRGBColorSpace;
+    this.texture.minFilter = THREE.LinearFilter;
+    this.texture.magFilter = THREE.LinearFilter;
+    this.texture.wrapS = this.wrapsLon ? THREE.RepeatWrapping : THREE.ClampToEdgeWrapping;
+
+    this.heatmapOpacity = opacity;
+    this.material = new THREE.MeshBasicMaterial({
+      map: this.texture,
+      transparent: true,
+      opacity,
+      depthWrite: false
+    });
+    this.mesh = new THREE.Mesh(this.buildPatchGeometry(), this.material);
+    this.mesh.renderOrder = 1;
+
+    this.zoom = 1;
+    this.densityLevel = null;
+    this._globe = null;
+  }
+
+  // Sphere patch over `bounds`, uv (0,0) at the south-west corner to match the grid rows.
+  buildPatchGeometry() {
+    const { minLat, maxLat, minLon, maxLon } = this.bounds;
+    const cols = clamp(Math.ceil(maxLon - minLon), 8, 180);
+    const rows = clamp(Math.ceil(maxLat - minLat), 8, 90);
+
+    const positions = [];
+    const uvs = [];
+    for (let j = 0; j <= rows; j++) {
+      const lat = minLat + ((maxLat - minLat) * j) / rows;
+      for (let i = 0; i <= cols; i++) {
+        const lon = minLon + ((maxLon - minLon) * i) / cols;
+        const p = latLongToVector3(lat, lon, this.radius);
+        positions.push(p.x, p.y, p.z);
+        uvs.push(i / cols, j / rows);
+      }
+    }
+
+    const indices = [];
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const a = j * (cols + 1) + i;
+        const b = a + 1;
+        const c = a + cols + 1;
+        const d = c + 1;
+        indices.push(a, b, c, b, d, c);
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    return geometry;
+  }
+
+  enable(globeRenderer) {
+    super.enable(globeRenderer);
+    this._globe = globeRenderer;
+    this.zoom = globeRenderer?.controls?.getZoomFactor?.() || this.zoom;
+
+    const statusToken = globeRenderer?.setStatus?.(`Loading ${this.name}…`);
+
+    return this.ensureDataLoaded()
+      .then(() => {
+        if (!this.enabled) return;
+
+        this.points = this.collectPoints();
+        globeRenderer.addObject(this.mesh, this.id);
+        this.objects = [this.mesh];
+        this.redraw();
+
+        globeRenderer?.clearStatus?.(statusToken);
+        if (this.points.length === 0) globeRenderer?.setStatus?.(`No ${this.name} to show`, { ttlMs: 2500 });
+      })
+      .catch((err) => {
+        console.warn(`HeatmapLayer failed to load ${this.dataUrl}`, err);
+
+        globeRenderer?.clearStatus?.(statusToken);
+        globeRenderer?.setStatus?.(`Failed to load ${this.name}`, { ttlMs: 6000 });
+        throw err;
+      });
+  }
+
+  disable(globeRenderer) {
+    super.disable(globeRenderer);
+    this.objects.forEach((obj) => globeRenderer.removeObject(obj));
+    this.objects = [];
+    this.points = [];
+    this.densityLevel = null;
+    this._globe = null;
+  }
+
+  refresh(globeRenderer) {
+    this.dataPromise = null;
+    this.geojson = null;
+
+    if (this.enabled) {
+      this.disable(globeRenderer);
+      return this.enable(globeRenderer);
+    }
+  }
+
+  /**
+   * Replace the points (e.g. from an event feed): [{ lat, lon, weight }].
+   * Points without a numeric weight use the layer's `weight` style.
+   */
+  setPoints(points) {
+    this.sourcePoints = Array.isArray(points) ? points : [];
+    if (!this.enabled || this.objects.length === 0) return;
+    this.points = this.collectPoints();
+    this.redraw();
+    this.notifyDataUpdated({ points: this.points.length });
+  }
+
+  // Points splatted right now.
+  getFeatureCount() {
+    return this.enabled ? this.points.length : null;
+  }
+
+  applyOpacity() {
+    this.material.opacity = this.heatmapOpacity * this.opacity;
+  }
+
+  // The kernel is sized in screen pixels, so density is rebuilt as the zoom steps.
+  updateForZoom(zoomFactor) {
+    const z = Number(zoomFactor) || 1;
+    if (z === this.zoom) return;
+    this.zoom = z;
+
+    const level = Math.round(Math.log2(Math.max(z, 1e-3)) * 2);
+    if (level === this.densityLevel && !this.weight.zoomDependent) return;
+    if (this.weight.zoomDependent) this.points = this.collectPoints();
+    this.redraw();
+  }
+
+  ensureDataLoaded() {
+    if (this.sourcePoints || !this.dataUrl) return Promise.resolve(null);
+    if (this.geojson) return Promise.resolve(this.geojson);
+    if (this.dataPromise) return this.dataPromise;
+
+    return this.cacheLoad('dataPromise', fetch(this.dataUrl)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to fetch ${this.dataUrl}: ${res.status}`);
+        return res.json();
+      })
+      .then((parsed) => {
+        this.geojson = loadGeoData(parsed);
+        return this.geojson;
+      }));
+  }
+
+  weightOf(feature) {
+    try {
+      const value = Number(this.weight(feature, this.zoom));
+      return Number.isFinite(value) && value > 0 ? value : 0;
+    } catch (err) {
+      console.warn('HeatmapLayer: weight failed', err);
+      return 0;
+    }
+  }
+
+  collectPoints() {
+    const out = [];
+    const push = (lat, lon, weight) => {
+      if (!this.inBounds(lat, lon) || !(weight > 0)) return;
+      out.push({ lat, lon, weight });
+    };
+
+    if (this.sourcePoints) {
+      for (const p of this.sourcePoints) {
+        const weight = Number.isFinite(p?.weight) ? p.weight : this.weightOf({ properties: p?.properties || {} });
+        push(Number(p?.lat), Number(p?.lon), weight);
+      }
+      return out;
+    }
+
+    const features = this.geojson?.features || [];
+    for (const feature of features) {
+      if (this.filterFeature && !this.safeFilter(feature)) continue;
+
+      const geometry = feature?.geometry;
+      const weight = this.weightOf(feature);
+      if (geometry?.type === 'Point') {
+        const [lon, lat] = geometry.coordinates || [];
+        push(lat, lon, weight);
+      } else if (geometry?.type === 'MultiPoint') {
+        for (const [lon, lat] of geometry.coordinates || []) push(lat, lon, weight);
+      } else {
+        const anchor = featureAnchor(feature);
+        if (anchor) push(anchor.lat, anchor.lon, weight);
+      }
+    }
+    return out;
+  }
+
+  safeFilter(feature) {
+    try {
+      return Boolean(this.filterFeature(feature));
+    } catch {
+      return false;
+    }
+  }
+
+  inBounds(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+    const b = this.bounds;
+    return lat >= b.minLat && lat <= b.maxLat && lon >= b.minLon && lon <= b.maxLon;
+  }
+
+  /**
+   * Splat every point with a quartic kernel, then colour the grid through the ramp.
+   */
+  redraw() {
+    if (!this.enabled || !this._globe) return;
+
+    this.densityLevel = Math.round(Math.log2(Math.max(this.zoom, 1e-3)) * 2);
+
+    const w = this.gridWidth;
+    const h = this.gridHeight;
+    const { minLat, maxLat, minLon, maxLon } = this.bounds;
+    const latPerRow = ((maxLat - minLat) / h) * DEG_TO_RAD;
+    const lonPerCol = ((maxLon - minLon) / w) * DEG_TO_RAD;
+
+    // Never narrower than a cell, so far-out views still show something.
+    const radiusRad = Math.max(this.radiusPx * (this._globe.surfaceRadiansPerPixel?.() || 0), latPerRow, lonPerCol);
+    const r2 = radiusRad * radiusRad;
+
+    const density = this.density;
+    density.fill(0);
+
+    for (const { lat, lon, weight } of this.points) {
+      const y = ((lat - minLat) / (maxLat - minLat)) * h - 0.5;
+      const x = ((lon - minLon) / (maxLon - minLon)) * w - 0.5;
+      const cosLat = Math.max(0.05, Math.cos(lat * DEG_TO_RAD));
+
+      const reachRows = Math.min(MAX_KERNEL_CELLS, Math.ceil(radiusRad / latPerRow));
+      const reachCols = Math.min(MAX_KERNEL_CELLS, Math.ceil(radiusRad / (lonPerCol * cosLat)), Math.floor(w / 2));
+
+      const row0 = Math.max(0, Math.floor(y - reachRows));
+      const row1 = Math.min(h - 1, Math.ceil(y + reachRows));
+      for (let row = row0; row <= row1; row++) {
+        const dy = (row - y) * latPerRow;
+        const dy2 = dy * dy;
+        if (dy2 >= r2) continue;
+
+        for (let c = Math.floor(x - reachCols); c <= Math.ceil(x + reachCols); c++) {
+          let col = c;
+          if (col < 0 || col >= w) {
+            if (!this.wrapsLon) continue;
+            col = ((col % w) + w) % w;
+          }
+          const dx = (c - x) * lonPerCol * cosLat;
+          const d2 = dx * dx + dy2;
+          if (d2 >= r2) continue;
+
+          const k = 1 - d2 / r2;
+          density[row * w + col] += weight * k * k;
+        }
+      }
+    }
+
+    let max = Number(this.maxWeight) || 0;
+    if (!(max > 0)) {
+      for (let i = 0; i < density.length; i++) if (density[i] > max) max = density[i];
+    }
+
+    const pixels = this.texture.image.data;
+    const lut = this.lut;
+    for (let i = 0; i < density.length; i++) {
+      const t = max > 0 ? Math.min(1, density[i] / max) : 0;
+      const index = t > 0 ? Math.max(1, Math.round(Math.pow(t, this.gamma) * 255)) : 0;
+      pixels[i * 4] = lut[index * 4];
+      pixels[i * 4 + 1] = lut[index * 4 + 1];
+      pixels[i * 4 + 2] = lut[index * 4 + 2];
+      pixels[i * 4 + 3] = lut[index * 4 + 3];
+    }
+    this.texture.needsUpdate = true;
+  }
+}
@@ -5,59 +5,260 @@
  * - Register layers
  * - Enable / disable layers
  * - Forward refresh requests
+ * - Track each layer's lifecycle state and announce changes
+ * - Stacking order, per-layer opacity and solo (one layer shown, others hidden)
  *
  * Non-responsibilities:
  * - Rendering
  * - UI
  * - Data fetching
+ *
+ * Lifecycle (LAYER_STATE): disabled -> enabling -> ready | error, and back to
+ * disabled. A refresh goes through enabling again. Layers whose enable() /
+ * refresh() return a promise stay `enabling` until it settles; anything else
+ * is ready as soon as the call returns.
+ *
+ * Events (EventTarget), detail: { layerId, layer, state, previousState, error? }
+ * - 'layer-registered'
+ * - 'layer-enabling'
+ * - 'layer-ready'
+ * - 'layer-error'
+ * - 'layer-disabled'
+ * - 'layer-refreshed'    a refresh finished and the layer is ready again
+ * - 'layer-data-updated' the layer's data changed while shown (BaseLayer.notifyDataUpdated)
+ * - 'layer-state'        any state change (after the specific event)
+ * - 'layer-opacity'      setLayerOpacity()
+ * - 'layer-order'        detail: { order } (layer ids, bottom to top)
+ * - 'layer-solo'         detail: { layerId } (null when solo ends)
+ *
+ * getInfo(id) summarises a layer for UI: state, error, feature count and when
+ * its data last became ready or changed.
  */
 
-export class LayerManager {
+export const LAYER_STATE = {
+  disabled: 'disabled',
+  enabling: 'enabling',
+  ready: 'ready',
+  error: 'error'
+};
+
+export class LayerManager extends EventTarget {
   constructor(globeRenderer) {
+    super();
     this.globeRenderer = globeRenderer;
     this.layers = new Map();
+
+    // layerId -> { state, error, generation, updatedAt }
+    this.lifecycle = new Map();
+
+    // Layer ids from bottom to top; registration order until setOrder().
+    this.order = [];
+    // Layer shown on its own; the others stay enabled but hidden.
+    this.soloLayerId = null;
   }
 
   register(layer) {
     this.layers.set(layer.id, layer);
+    this.lifecycle.set(layer.id, { state: LAYER_STATE.disabled, error: null, generation: 0, updatedAt: null });
+    layer.onDataUpdated = (detail) => {
+      this.lifecycle.get(layer.id).updatedAt = Date.now();
+      this.emit('layer-data-updated', layer, { data: detail });
+    };
     layer.init(this.globeRenderer);
+    this.order.push(layer.id);
+    this.globeRenderer?.setLayerOrder?.(this.order);
+    if (this.soloLayerId) this.globeRenderer?.setLayerVisible?.(layer.id, false);
+    this.emit('layer-registered', layer);
   }
 
   list() {
     return Array.from(this.layers.values());
   }
 
+  get(id) {
+    return this.layers.get(id) || null;
+  }
+
   isEnabled(id) {
     const layer = this.layers.get(id);
     return Boolean(layer?.enabled);
   }
 
-  enableLayer(id) {
+  getState(id) {
+    return this.lifecycle.get(id)?.state ?? null;
+  }
+
+  getError(id) {
+    return this.lifecycle.get(id)?.error ?? null;
+  }
+
+  /**
+   * { state, error, featureCount, updatedAt } for a layer, or null if unknown.
+   * featureCount is only reported while the layer is ready; updatedAt is a
+   * Date.now() timestamp of the last load, refresh or data update.
+   */
+  getInfo(id) {
     const layer = this.layers.get(id);
-    if (layer && !layer.enabled) {
-      layer.enable(this.globeRenderer);
+    const entry = this.lifecycle.get(id);
+    if (!layer || !entry) return null;
+
+    let featureCount = null;
+    if (entry.state === LAYER_STATE.ready) {
+      try {
+        featureCount = layer.getFeatureCount?.() ?? null;
+      } catch (err) {
+        console.warn(`LayerManager: ${id} feature count failed`, err);
+      }
     }
+
+    return { state: entry.state, error: entry.error, featureCount, updatedAt: entry.updatedAt };
+  }
+
+  /**
+   * Enable a layer. Resolves true once it is ready, false if it failed or was
+   * disabled again before it finished loading.
+   */
+  enableLayer(id) {
+    const layer = this.layers.get(id);
+    if (!layer || layer.enabled) return Promise.resolve(Boolean(layer && this.getState(id) === LAYER_STATE.ready));
+
+    // Turning another layer on means the user wants more than the soloed one.
+    if (this.soloLayerId && this.soloLayerId !== id) this.clearSolo();
+
+    const generation = this.setState(layer, LAYER_STATE.enabling, 'layer-enabling');
+    return this.track(layer, generation, () => layer.enable(this.globeRenderer), 'layer-ready');
   }
 
   disableLayer(id) {
     const layer = this.layers.get(id);
     if (layer && layer.enabled) {
       layer.disable(this.globeRenderer);
+      this.setState(layer, LAYER_STATE.disabled, 'layer-disabled');
+      if (this.soloLayerId === id) this.clearSolo();
     }
   }
 
   toggleLayer(id, enabled) {
     if (enabled) {
-      this.enableLayer(id);
-    } else {
-      this.disableLayer(id);
+      return this.enableLayer(id);
     }
+    this.disableLayer(id);
+    return Promise.resolve(false);
   }
 
   refreshLayer(id) {
     const layer = this.layers.get(id);
-    if (layer && layer.enabled) {
-      layer.refresh(this.globeRenderer);
+    if (!layer || !layer.enabled) return Promise.resolve(false);
+
+    const generation = this.setState(layer, LAYER_STATE.enabling, 'layer-enabling');
+    return this.track(layer, generation, () => layer.refresh(this.globeRenderer), 'layer-refreshed');
+  }
+
+  /**
+   * Try a failed layer again: refreshed if it is still on (so it reloads its
+   * data), enabled otherwise.
+   */
+  retryLayer(id) {
+    return this.isEnabled(id) ? this.refreshLayer(id) : this.enableLayer(id);
+  }
+
+  setLayerOpacity(id, opacity) {
+    const layer = this.layers.get(id);
+    if (!layer) return;
+    layer.setOpacity?.(opacity);
+    this.emit('layer-opacity', layer, { opacity: layer.opacity });
+  }
+
+  getOrder() {
+    return [...this.order];
+  }
+
+  /**
+   * Restack layers, bottom to top. Unknown ids are ignored; registered layers
+   * missing from `ids` keep their relative order underneath.
+   */
+  setOrder(ids) {
+    const listed = (Array.isArray(ids) ? ids : []).filter((id, i, all) => this.layers.has(id) && all.indexOf(id) === i);
+    const rest = this.order.filter((id) => !listed.includes(id));
+    this.order = [...rest, ...listed];
+
+    this.globeRenderer?.setLayerOrder?.(this.order);
+    this.dispatchEvent(new CustomEvent('layer-order', { detail: { order: this.getOrder() } }));
+  }
+
+  getSoloLayer() {
+    return this.soloLayerId;
+  }
+
+  /**
+   * Show only this layer (enabling it if needed) until clearSolo(). The other
+   * layers keep their state and come back as they were.
+   */
+  soloLayer(id) {
+    if (!this.layers.has(id)) return Promise.resolve(false);
+
+    this.soloLayerId = id;
+    this.applySolo();
+    return this.enableLayer(id);
+  }
+
+  clearSolo() {
+    if (!this.soloLayerId) return;
+    this.soloLayerId = null;
+    this.applySolo();
+  }
+
+  applySolo() {
+    for (const id of this.layers.keys()) {
+      this.globeRenderer?.setLayerVisible?.(id, !this.soloLayerId || id === this.soloLayerId);
+    }
+    this.dispatchEvent(new CustomEvent('layer-solo', { detail: { layerId: this.soloLayerId } }));
+  }
+
+  // Run a layer call and settle its lifecycle from the (possibly async) result.
+  track(layer, generation, run, readyEvent) {
+    const isCurrent = () => this.lifecycle.get(layer.id)?.generation === generation;
+
+    let result;
+    try {
+      result = run();
+    } catch (err) {
+      console.warn(`LayerManager: ${layer.id} threw`, err);
+      result = Promise.reject(err);
     }
+
+    return Promise.resolve(result).then(
+      () => {
+        if (!isCurrent() || !layer.enabled) return false;
+        this.setState(layer, LAYER_STATE.ready, 'layer-ready');
+        if (readyEvent !== 'layer-ready') this.emit(readyEvent, layer);
+        return true;
+      },
+      (err) => {
+        if (!isCurrent()) return false;
+        this.setState(layer, LAYER_STATE.error, 'layer-error', err);
+        return false;
+      }
+    );
+  }
+
+  // Returns the new generation; settling results from older generations are ignored.
+  setState(layer, state, eventType, error = null) {
+    const entry = this.lifecycle.get(layer.id);
+    const previousState = entry.state;
+    entry.state = state;
+    entry.error = state === LAYER_STATE.error ? error : null;
+    if (state === LAYER_STATE.enabling || state === LAYER_STATE.disabled) entry.generation++;
+    if (state === LAYER_STATE.ready) entry.updatedAt = Date.now();
+
+    const extra = { previousState, ...(error ? { error } : {}) };
+    this.emit(eventType, layer, extra);
+    this.emit('layer-state', layer, extra);
+    return entry.generation;
+  }
+
+  emit(type, layer, extra = {}) {
+    const detail = { layerId: layer.id, layer, state: this.getState(layer.id), ...extra };
+    this.dispatchEvent(new CustomEvent(type, { detail }));
   }
 }
@@ -2,6 +2,28 @@ import * as THREE from 'three';
 import shp from 'shpjs';
 import { BaseLayer } from './BaseLayer.js';
 import { latLongToVector3 } from '../globe/latLong.js';
+import { MARKER_STATE, MarkerBatch } from '../globe/MarkerBatch.js';
+import { LabelAtlas, LabelBatch } from '../globe/LabelAtlas.js';
+import { clusterPoints } from '../globe/pointClusters.js';
+import { featureId, featureName } from '../lib/geo.js';
+import { compileStyle, styleUsesZoom } from '../lib/style.js';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+const DEFAULT_CLUSTER = { radiusPx: 40, maxZoom: 24 };
+
+const CLUSTER_LABEL_STYLE = {
+  fontPx: 11,
+  color: '#ffffff',
+  shadow: 'rgba(0,0,0,0.85)',
+  padX: 3,
+  padY: 2,
+  maxPxW: 64
+};
+
+function clusterCountText(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+}
 
 export class NaturalEarthPointsZipLayer extends BaseLayer {
   constructor(options = {}) {
@@ -19,10 +41,20 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
       iconSvgUrl = null,
       iconSvg = null,
       iconTextureSize = 128,
-      iconAlphaTest = 0.25
+      iconAlphaTest = 0.25,
+      // Per-feature marker style: each of { color, size (px), rotation (degrees) }
+      // is a constant, (feature, zoom) => value or a style expression (lib/style.js).
+      // Defaults to `color` / `pointSizePx`. Cluster markers use clusterColor / clusterSize,
+      // evaluated against a cluster feature with a `point_count` property.
+      style = {},
+      // Group points closer than radiusPx on screen into count markers (true or
+      // { radiusPx, maxZoom }); clusters split as the camera zooms in or when clicked.
+      cluster = null,
+      tooltip = null
     } = options;
 
     super(id, name);
+    this.tooltipFn = typeof tooltip === 'function' ? tooltip : null;
 
     if (!zipUrl) {
       throw new Error('NaturalEarthPointsZipLayer requires zipUrl');
@@ -37,20 +69,58 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
     this.geojson = null;
     this.dataPromise = null;
 
+    // Every point in the layer ([{ feature, lat, lon }]) and its marker, index-aligned.
+    this.allPoints = [];
+    this.allMarkers = [];
+    // Points drawn individually right now (same order as the marker instances).
+    this.pointFeatures = [];
+
     this.iconSvgUrl = iconSvgUrl;
     this.iconSvg = iconSvg;
     this.iconTextureSize = iconTextureSize;
     this.iconAlphaTest = iconAlphaTest;
     this.iconPromise = null;
+    this.iconTexture = null;
 
-    this.material = new THREE.PointsMaterial({
+    this.styleDefaults = {
       color,
       size: pointSizePx,
-      sizeAttenuation: false,
-      transparent: opacity < 1,
-      opacity,
-      depthWrite: false
-    });
+      rotation: 0,
+      clusterColor: color,
+      clusterSize: ['interpolate', ['linear'], ['get', 'point_count'], 2, 22, 100, 40]
+    };
+    this.style = compileStyle(style, this.styleDefaults);
+    this.zoom = 1;
+
+    this.markerOpacity = opacity;
+    this.markers = new MarkerBatch({ opacity, alphaTest: iconAlphaTest });
+
+    this.cluster = cluster ? { ...DEFAULT_CLUSTER, ...(cluster === true ? {} : cluster) } : null;
+    // [{ members: [index into allPoints], lat, lon, feature }], same order as the cluster markers.
+    this.clusters = [];
+    this.clusterLevel = null;
+    this.clusterMarkers = this.cluster ? new MarkerBatch({ opacity, renderOrder: 1 }) : null;
+    this.clusterAtlas = null;
+    this.clusterLabels = null;
+    this._globe = null;
+
+    this.hoveredHit = null;
+    this.selectedHit = null;
+    this._onPickerHover = (event) => {
+      this.hoveredHit = event.detail;
+      this.applyInteractionState();
+    };
+    this._onPickerSelect = (event) => {
+      const cluster = this.clusterForHit(event.detail);
+      if (cluster) {
+        // Clusters aren't selectable: fly in until they split, then drop the selection.
+        this.expandCluster(cluster);
+        queueMicrotask(() => this._globe?.picker?.select(null));
+        return;
+      }
+      this.selectedHit = event.detail;
+      this.applyInteractionState();
+    };
   }
 
   init(globeRenderer) {
@@ -60,22 +130,36 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
 
   enable(globeRenderer) {
     super.enable(globeRenderer);
+    this.zoom = globeRenderer?.controls?.getZoomFactor?.() || this.zoom;
 
     const statusToken = globeRenderer?.setStatus?.(`Loading ${this.name}…`);
 
-    Promise.all([this.ensureDataLoaded(), this.ensureIconLoaded()])
+    return Promise.all([this.ensureDataLoaded(), this.ensureIconLoaded()])
       .then(() => {
         if (!this.enabled) return;
 
-        const points = this.buildPointsObject(this.geojson);
-        if (!points) {
+        const markers = this.buildMarkers(this.geojson);
+        if (markers.length === 0) {
           globeRenderer?.clearStatus?.(statusToken);
           globeRenderer?.setStatus?.(`No ${this.name} to show`, { ttlMs: 2500 });
           return;
         }
 
-        globeRenderer.addObject(points);
-        this.objects = [points];
+        this._globe = globeRenderer;
+        this.allMarkers = markers;
+        this.objects = [this.markers.mesh];
+        if (this.cluster) {
+          this.ensureClusterLabels();
+          this.objects.push(this.clusterMarkers.mesh, this.clusterLabels.mesh);
+        }
+        this.objects.forEach((obj) => globeRenderer.addObject(obj, this.id));
+
+        const picker = globeRenderer?.picker;
+        picker?.addEventListener('feature-hover', this._onPickerHover);
+        picker?.addEventListener('feature-selected', this._onPickerSelect);
+        this.hoveredHit = picker?.hovered || null;
+        this.selectedHit = picker?.selected || null;
+        this.drawPoints();
 
         globeRenderer?.clearStatus?.(statusToken);
       })
@@ -84,6 +168,7 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
 
         globeRenderer?.clearStatus?.(statusToken);
         globeRenderer?.setStatus?.(`Failed to load ${this.name}`, { ttlMs: 6000 });
+        throw err;
       });
   }
 
@@ -91,6 +176,187 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
     super.disable(globeRenderer);
     this.objects.forEach((obj) => globeRenderer.removeObject(obj));
     this.objects = [];
+    this.allPoints = [];
+    this.allMarkers = [];
+    this.pointFeatures = [];
+    this.clusters = [];
+    this.clusterLevel = null;
+    this.markers.setMarkers([]);
+    this.clusterMarkers?.setMarkers([]);
+    this.clusterLabels?.setLabels([]);
+    this._globe = null;
+
+    const picker = globeRenderer?.picker;
+    picker?.removeEventListener('feature-hover', this._onPickerHover);
+    picker?.removeEventListener('feature-selected', this._onPickerSelect);
+    picker?.unregister(this.id);
+  }
+
+  // Hover/selected look for the markers under the picker's current hits.
+  applyInteractionState() {
+    this.markers.clearStates();
+
+    const indexOf = (hit) =>
+      hit?.layerId === this.id
+        ? this.pointFeatures.findIndex((p) => p.feature === hit.feature && p.lat === hit.lat && p.lon === hit.lon)
+        : -1;
+
+    this.markers.setState(indexOf(this.hoveredHit), MARKER_STATE.hover);
+    this.markers.setState(indexOf(this.selectedHit), MARKER_STATE.selected);
+
+    if (!this.clusterMarkers) return;
+    this.clusterMarkers.clearStates();
+    const hovered = this.clusterForHit(this.hoveredHit);
+    this.clusterMarkers.setState(this.clusters.indexOf(hovered), MARKER_STATE.hover);
+  }
+
+  ensureClusterLabels() {
+    if (this.clusterLabels) return;
+    this.clusterAtlas = new LabelAtlas({ size: 512 });
+    this.clusterLabels = new LabelBatch(this.clusterAtlas, { opacity: this.opacity, renderOrder: 2 });
+  }
+
+  /**
+   * Cluster the layer's points for the current zoom and push singles, cluster
+   * markers and count labels to the GPU.
+   */
+  drawPoints() {
+    if (!this.enabled || !this._globe) return;
+
+    const radiusRad = this.clusterRadiusRad();
+    this.clusterLevel = this.clusterLevelFor(this.zoom);
+
+    // Bigger markers (e.g. lower scalerank) seed clusters first.
+    const order = this.allMarkers.map((_, i) => i).sort((a, b) => this.allMarkers[b].sizePx - this.allMarkers[a].sizePx);
+    const groups = clusterPoints(this.allPoints, radiusRad, { order });
+
+    const singles = groups.filter((group) => group.members.length === 1).map((group) => group.members[0]);
+    singles.sort((a, b) => a - b);
+    this.markers.setMarkers(singles.map((i) => this.allMarkers[i]));
+    this.pointFeatures = singles.map((i) => this.allPoints[i]);
+
+    this.clusters = groups
+      .filter((group) => group.members.length > 1)
+      .map((group) => ({ ...group, feature: this.clusterFeature(group) }));
+
+    if (this.clusterMarkers) {
+      this.clusterMarkers.setMarkers(
+        this.clusters.map((cluster) => ({
+          position: latLongToVector3(cluster.lat, cluster.lon, this.radius),
+          color: new THREE.Color(this.styleValue('clusterColor', cluster.feature) ?? 0xffffff),
+          sizePx: Number(this.styleValue('clusterSize', cluster.feature)) || 0
+        }))
+      );
+      this.clusterLabels?.setLabels(
+        this.clusters.map((cluster) => ({
+          text: clusterCountText(cluster.members.length),
+          style: CLUSTER_LABEL_STYLE,
+          position: latLongToVector3(cluster.lat, cluster.lon, this.radius)
+        }))
+      );
+    }
+
+    this._globe.picker?.register(this, { points: [...this.pointFeatures, ...this.clusters] });
+    this.applyInteractionState();
+  }
+
+  // Cluster radius in radians of arc: radiusPx at the globe's centre of view.
+  clusterRadiusRad() {
+    if (!this.cluster || this.zoom >= this.cluster.maxZoom) return 0;
+    return this.cluster.radiusPx * (this._globe?.surfaceRadiansPerPixel?.() || 0);
+  }
+
+  // Re-cluster in half-octave zoom steps rather than on every animation frame.
+  clusterLevelFor(zoom) {
+    if (!this.cluster || zoom >= this.cluster.maxZoom) return null;
+    return Math.round(Math.log2(Math.max(zoom, 1e-3)) * 2);
+  }
+
+  clusterFeature(group) {
+    return {
+      type: 'Feature',
+      properties: { cluster: true, point_count: group.members.length, name: `${group.members.length} × ${this.name}` },
+      geometry: { type: 'Point', coordinates: [group.lon, group.lat] }
+    };
+  }
+
+  clusterForHit(hit) {
+    if (!hit || hit.layerId !== this.id || !hit.feature?.properties?.cluster) return null;
+    return this.clusters.find((cluster) => cluster.feature === hit.feature) || null;
+  }
+
+  // Fly to the cluster's members, zooming in at least one clustering step so it splits.
+  expandCluster(cluster) {
+    const controls = this._globe?.controls;
+    if (!controls) return;
+
+    const bounds = { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity };
+    for (const i of cluster.members) {
+      const { lat, lon } = this.allPoints[i];
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+      bounds.minLon = Math.min(bounds.minLon, lon);
+      bounds.maxLon = Math.max(bounds.maxLon, lon);
+    }
+
+    controls.focusOn(bounds);
+    controls.ensureZoomAtLeast(Math.min(this.cluster.maxZoom, this.zoom * Math.SQRT2 * 1.01));
+  }
+
+  describeFeature(feature) {
+    if (feature?.properties?.cluster) return `${feature.properties.point_count} × ${this.name}`;
+    return super.describeFeature(feature);
+  }
+
+  setStyle(style) {
+    this.style = compileStyle(style, this.styleDefaults);
+    this.restyleMarkers();
+  }
+
+  // Zoom-dependent styles re-evaluate as the camera zooms.
+  updateForZoom(zoomFactor) {
+    const z = Number(zoomFactor) || 1;
+    if (z === this.zoom) return;
+    this.zoom = z;
+    if (styleUsesZoom(this.style)) this.restyleMarkers();
+    else if (this.cluster && this.clusterLevelFor(z) !== this.clusterLevel) this.drawPoints();
+  }
+
+  restyleMarkers() {
+    if (!this.enabled || !this.geojson || this.objects.length === 0) return;
+    this.allMarkers = this.buildMarkers(this.geojson);
+    this.drawPoints();
+  }
+
+  styleValue(key, feature) {
+    try {
+      return this.style[key]?.(feature, this.zoom);
+    } catch (err) {
+      console.warn(`NaturalEarthPointsZipLayer: style.${key} failed`, err);
+      return null;
+    }
+  }
+
+  getFocusableFeatures() {
+    if (!this.enabled) return [];
+    // Every point, including those currently drawn inside a cluster.
+    return this.allPoints
+      .map(({ feature, lat, lon }, i) => {
+        const name = featureName(feature);
+        return name ? { key: `${this.id}:${featureId(feature) || i}`, name, lat, lon, feature } : null;
+      })
+      .filter(Boolean);
+  }
+
+  applyOpacity() {
+    this.markers.setOpacity(this.markerOpacity * this.opacity);
+    this.clusterMarkers?.setOpacity(this.markerOpacity * this.opacity);
+    this.clusterLabels?.setOpacity(this.opacity);
+  }
+
+  // Every point, clustered or not.
+  getFeatureCount() {
+    return this.enabled ? this.allPoints.length : null;
   }
 
   refresh(globeRenderer) {
@@ -99,12 +365,12 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
 
     if (this.enabled) {
       this.disable(globeRenderer);
-      this.enable(globeRenderer);
+      return this.enable(globeRenderer);
     }
   }
 
   ensureIconLoaded() {
-    if (this.material.map) return Promise.resolve(this.material.map);
+    if (this.iconTexture) return Promise.resolve(this.iconTexture);
     if (this.iconPromise) return this.iconPromise;
 
     const hasInlineSvg = typeof this.iconSvg === 'string' && this.iconSvg.trim().length > 0;
@@ -115,10 +381,8 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
       .then((svgText) => this.svgTextToTexture(svgText, this.iconTextureSize))
       .then((texture) => {
         if (!texture) return null;
-        this.material.map = texture;
-        this.material.transparent = true;
-        this.material.alphaTest = this.iconAlphaTest;
-        this.material.needsUpdate = true;
+        this.iconTexture = texture;
+        this.markers.setIcon(texture);
         return texture;
       })
       .catch((err) => {
@@ -174,7 +438,7 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
     let svg = (svgText || '').trim();
     if (!svg.startsWith('<svg')) return '';
 
-    // Force a deterministic paint style so we can tint via PointsMaterial.color.
+    // Force a deterministic paint style so markers can be tinted per feature.
     // Outline icons typically use stroke="currentColor"; make that white in the raster.
     svg = svg.replace(/stroke="currentColor"/g, 'stroke="#ffffff"');
     svg = svg.replace(/fill="currentColor"/g, 'fill="#ffffff"');
@@ -200,7 +464,7 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
     if (this.geojson) return Promise.resolve(this.geojson);
     if (this.dataPromise) return this.dataPromise;
 
-    this.dataPromise = fetch(this.zipUrl)
+    return this.cacheLoad('dataPromise', fetch(this.zipUrl)
       .then((res) => {
         if (!res.ok) throw new Error(`Failed to fetch ${this.zipUrl}: ${res.status}`);
         return res.arrayBuffer();
@@ -210,9 +474,7 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
         const geojson = this.normalizeParsedGeoJson(parsed);
         this.geojson = geojson;
         return geojson;
-      });
-
-    return this.dataPromise;
+      }));
   }
 
   normalizeParsedGeoJson(parsed) {
@@ -247,15 +509,28 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
     return { type: 'FeatureCollection', features: [] };
   }
 
-  buildPointsObject(geojson) {
+  // Markers for every point in `geojson`; sets allPoints to match.
+  buildMarkers(geojson) {
     const features = geojson?.features;
-    if (!Array.isArray(features) || features.length === 0) return null;
-
-    const positions = [];
-    let count = 0;
+    this.allPoints = [];
+    if (!Array.isArray(features) || features.length === 0) return [];
+
+    const markers = [];
+    const pointFeatures = [];
+
+    const add = (feature, lat, lon) => {
+      const color = new THREE.Color(this.styleValue('color', feature) ?? 0xffffff);
+      markers.push({
+        position: latLongToVector3(lat, lon, this.radius),
+        color,
+        sizePx: Number(this.styleValue('size', feature)) || 0,
+        rotationRad: (Number(this.styleValue('rotation', feature)) || 0) * DEG_TO_RAD
+      });
+      pointFeatures.push({ feature, lat, lon });
+    };
 
     for (const feature of features) {
-      if (count >= this.maxPoints) break;
+      if (markers.length >= this.maxPoints) break;
 
       const geometry = feature?.geometry;
       if (!geometry) continue;
@@ -265,26 +540,20 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
       if (geometry.type === 'Point') {
         const [lon, lat] = geometry.coordinates || [];
         if (!this.inBounds(lat, lon)) continue;
-        this.pushLatLon(positions, lat, lon);
-        count++;
+        add(feature, lat, lon);
       } else if (geometry.type === 'MultiPoint') {
         const coords = Array.isArray(geometry.coordinates) ? geometry.coordinates : [];
         for (const c of coords) {
-          if (count >= this.maxPoints) break;
+          if (markers.length >= this.maxPoints) break;
           const [lon, lat] = c || [];
           if (!this.inBounds(lat, lon)) continue;
-          this.pushLatLon(positions, lat, lon);
-          count++;
+          add(feature, lat, lon);
         }
       }
     }
 
-    if (positions.length === 0) return null;
-
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-
-    return new THREE.Points(geometry, this.material);
+    this.allPoints = pointFeatures;
+    return markers;
   }
 
   safeFilter(feature) {
@@ -301,9 +570,4 @@ export class NaturalEarthPointsZipLayer extends BaseLayer {
     if (!b) return true;
     return lat >= b.minLat && lat <= b.maxLat && lon >= b.minLon && lon <= b.maxLon;
   }
-
-  pushLatLon(positions, lat, lon) {
-    const v = latLongToVector3(lat, lon, this.radius);
-    positions.push(v.x, v.y, v.z);
-  }
 }
@@ -2,7 +2,14 @@ import * as THREE from 'three';
 import shp from 'shpjs';
 import { BaseLayer } from './BaseLayer.js';
 import { latLongToVector3 } from '../globe/latLong.js';
-import { loadGeoData } from '../lib/geo.js';
+import { applyHorizonFade } from '../globe/horizon.js';
+import { LabelPlacer } from '../globe/LabelPlacer.js';
+import { LabelAtlas, LabelBatch } from '../globe/LabelAtlas.js';
+import { featureId, loadGeoData } from '../lib/geo.js';
+import { compileStyle } from '../lib/style.js';
+
+// Label opacity at full layer opacity (LabelBatch's default).
+const LABEL_OPACITY = 0.95;
 
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
@@ -56,14 +63,25 @@ function featureToLabelText(feature) {
   return '';
 }
 
-function isImportantPlace(feature, maxScaleRank) {
+function scaleRank(feature) {
   const props = feature?.properties || {};
-  const raw = props.scalerank ?? props.SCALERANK ?? props.ScaleRank;
-  const rank = Number(raw);
-  if (!Number.isFinite(rank)) return true;
+  const rank = Number(props.scalerank ?? props.SCALERANK ?? props.ScaleRank);
+  return Number.isFinite(rank) ? rank : null;
+}
+
+function isImportantPlace(feature, maxScaleRank) {
+  const rank = scaleRank(feature);
+  if (rank == null) return true;
   return rank <= maxScaleRank;
 }
 
+// Label priority: scalerank first, then the larger population wins ties.
+function labelPriority(feature) {
+  const props = feature?.properties || {};
+  const pop = Number(props.pop_max ?? props.POP_MAX) || 0;
+  return (scaleRank(feature) ?? 10) - Math.min(pop, 1e8) / 1e9;
+}
+
 export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
   constructor(options = {}) {
     const {
@@ -84,10 +102,15 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
       labelColor = 'rgba(0,255,102,0.95)',
       labelShadow = 'rgba(0,0,0,0.85)',
       labelFontPx = 14,
-      labelMaxPxW = 140
+      labelMaxPxW = 140,
+      // Style spec (lib/style.js): pointColor, pointOpacity, pointSize apply to all
+      // points; labelColor, labelShadow are per feature. Defaults come from the options above.
+      style = {},
+      tooltip = null
     } = options;
 
     super(id, name);
+    this.tooltipFn = typeof tooltip === 'function' ? tooltip : null;
 
     if (!zipUrl && !geojsonUrl) throw new Error('NaturalEarthPopulatedPlacesLayer requires zipUrl or geojsonUrl');
     if (!bounds) throw new Error('NaturalEarthPopulatedPlacesLayer requires bounds');
@@ -108,25 +131,106 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
 
     this.labelFontPx = labelFontPx;
     this.labelMaxPxW = labelMaxPxW;
-    this.labelColor = labelColor;
-    this.labelShadow = labelShadow;
+
+    this.zoom = 1;
+    this.styleDefaults = { pointColor, pointOpacity, pointSize: pointSizePx, labelColor, labelShadow };
+    this.style = compileStyle(style, this.styleDefaults);
 
     this.geojson = null;
     this.dataPromise = null;
+    // { source, count } cached by getFeatureCount().
+    this.featureCount = null;
 
+    // Colour, size and opacity come from the style (applyPointStyle).
     this.pointsMaterial = new THREE.PointsMaterial({
-      color: pointColor,
-      size: pointSizePx,
       sizeAttenuation: false,
-      transparent: pointOpacity < 1,
-      opacity: pointOpacity,
+      transparent: true,
       depthWrite: false
     });
+    applyHorizonFade(this.pointsMaterial);
+    this.applyPointStyle();
+
+    // All labels share one atlas texture and draw as a single instanced mesh;
+    // rebuilding on zoom only re-uploads instance attributes (plus any new names).
+    this.labelAtlas = null;
+    this.labelBatch = null;
+
+    // Overlapping labels are resolved each time the camera settles.
+    this.labelPlacer = new LabelPlacer({ onPlace: (labels) => this.applyLabelPlacement(labels) });
 
     this._globe = null;
     this._removeTick = null;
 
-    this._labelSprites = [];
+    // [{ text, position, feature, lat, lon, priority, widthPx, heightPx, placed, center, visible }]
+    this._labels = [];
+  }
+
+  labelStyleFor(feature) {
+    return {
+      fontPx: this.labelFontPx,
+      color: this.evaluateStyle('labelColor', feature),
+      shadow: this.evaluateStyle('labelShadow', feature),
+      maxPxW: this.labelMaxPxW
+    };
+  }
+
+  evaluateStyle(key, feature) {
+    try {
+      return this.style[key]?.(feature, this.zoom) ?? this.styleDefaults[key];
+    } catch (err) {
+      console.warn(`NaturalEarthPopulatedPlacesLayer: style.${key} failed`, err);
+      return this.styleDefaults[key];
+    }
+  }
+
+  setStyle(style) {
+    this.style = compileStyle(style, this.styleDefaults);
+    this.applyPointStyle();
+    this.restyleLabels();
+  }
+
+  applyPointStyle() {
+    this.pointsMaterial.color.set(this.evaluateStyle('pointColor', null));
+    this.pointsMaterial.size = Number(this.evaluateStyle('pointSize', null)) || 0;
+    const opacity = Number(this.evaluateStyle('pointOpacity', null));
+    this.pointsMaterial.opacity = (Number.isFinite(opacity) ? Math.max(0, Math.min(1, opacity)) : 1) * this.opacity;
+  }
+
+  applyOpacity() {
+    this.applyPointStyle();
+    this.labelBatch?.setOpacity(LABEL_OPACITY * this.opacity);
+  }
+
+  // Redraw labels whose colours changed (e.g. zoom-dependent label styles).
+  restyleLabels() {
+    let changed = false;
+    for (const label of this._labels) {
+      const style = this.labelStyleFor(label.feature);
+      if (style.color !== label.style.color || style.shadow !== label.style.shadow) {
+        label.style = style;
+        changed = true;
+      }
+    }
+    if (changed) this.setLabels(this._labels);
+  }
+
+  updateForZoom(zoomFactor) {
+    const z = Number(zoomFactor) || 1;
+    if (z === this.zoom) return;
+    this.zoom = z;
+
+    const { pointColor, pointOpacity, pointSize, labelColor, labelShadow } = this.style;
+    if (pointColor?.zoomDependent || pointOpacity?.zoomDependent || pointSize?.zoomDependent) {
+      this.applyPointStyle();
+    }
+    if (labelColor?.zoomDependent || labelShadow?.zoomDependent) this.restyleLabels();
+  }
+
+  ensureLabelBatch() {
+    if (this.labelBatch) return this.labelBatch;
+    this.labelAtlas = new LabelAtlas({ pixelRatio: clamp(window.devicePixelRatio || 1, 1, 2) });
+    this.labelBatch = new LabelBatch(this.labelAtlas, { opacity: LABEL_OPACITY * this.opacity });
+    return this.labelBatch;
   }
 
   updateDensityForZoom(zoomFactor) {
@@ -184,31 +288,28 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
 
     const statusToken = globeRenderer?.setStatus?.(`Loading ${this.name}…`);
 
-    this.ensureDataLoaded()
+    return this.ensureDataLoaded()
       .then(() => {
         if (!this.enabled) return;
 
         const pointsObj = this.buildPointsObject(this.geojson);
         if (pointsObj) {
-          globeRenderer.addObject(pointsObj);
+          globeRenderer.addObject(pointsObj, this.id);
           this.objects.push(pointsObj);
         }
 
-        const labelSprites = this.buildLabelSprites(this.geojson);
-        for (const s of labelSprites) {
-          globeRenderer.addObject(s);
-          this.objects.push(s);
-        }
-        this._labelSprites = labelSprites;
+        const batch = this.ensureLabelBatch();
+        globeRenderer.addObject(batch.mesh, this.id);
+        this.objects.push(batch.mesh);
+        this.setLabels(this.buildLabels(this.geojson));
+        globeRenderer?.picker?.register(this, { points: this.getFocusableFeatures() });
 
         this._removeTick?.();
-        this._removeTick = globeRenderer.addTickHandler(() => {
+        this._removeTick = globeRenderer.addTickHandler(({ nowMs }) => {
           if (!this.enabled) return;
-          this.updateLabelScales();
+          this.labelPlacer.tick(globeRenderer, nowMs);
         });
 
-        this.updateLabelScales();
-
         globeRenderer?.clearStatus?.(statusToken);
       })
       .catch((err) => {
@@ -216,6 +317,7 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
 
         globeRenderer?.clearStatus?.(statusToken);
         globeRenderer?.setStatus?.(`Failed to load ${this.name}`, { ttlMs: 6000 });
+        throw err;
       });
   }
 
@@ -229,38 +331,66 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
       globeRenderer.removeObject(obj);
     }
 
-    // Dispose label textures/materials.
-    this.disposeLabelSprites();
+    // The atlas and batch are kept for the next enable; only the instances go.
+    this.setLabels([]);
+    globeRenderer?.picker?.unregister(this.id);
 
     this.objects = [];
     this._globe = null;
   }
 
-  disposeLabelSprites() {
-    for (const sprite of this._labelSprites) {
-      const mat = sprite?.material;
-      if (mat?.map) mat.map.dispose?.();
-      mat?.dispose?.();
-      this._globe?.removeObject?.(sprite);
-    }
-    this._labelSprites = [];
-    if (Array.isArray(this.objects)) {
-      this.objects = this.objects.filter((obj) => obj?.isSprite !== true && obj?.type !== 'Sprite');
-    }
+  setLabels(labels) {
+    this._labels = labels;
+
+    // Sizes come from the atlas, so placement uses the drawn box.
+    const entries = this.labelBatch ? this.labelBatch.setLabels(labels) : [];
+    labels.forEach((label, i) => {
+      label.widthPx = entries[i]?.widthPx ?? 0;
+      label.heightPx = entries[i]?.heightPx ?? 0;
+    });
+
+    this.labelPlacer.setLabels(labels);
+  }
+
+  // Unplaced labels stay hidden until the next time the camera settles.
+  applyLabelPlacement(labels) {
+    for (const label of labels) label.visible = label.placed === true;
+    this.labelBatch?.updatePlacement();
   }
 
   rebuildLabels() {
     if (!this._globe || !this.geojson) return;
 
-    this.disposeLabelSprites();
+    this.setLabels(this.buildLabels(this.geojson));
+    this._globe.picker?.register(this, { points: this.getFocusableFeatures() });
+  }
 
-    const labelSprites = this.buildLabelSprites(this.geojson);
-    for (const s of labelSprites) {
-      this._globe.addObject(s);
-      this.objects.push(s);
+  getFocusableFeatures() {
+    if (!this.enabled) return [];
+    // Only labelled places: these are the ones a sighted user can see at this zoom.
+    return this._labels.map(({ feature, text, lat, lon }, i) => ({
+      key: `${this.id}:${featureId(feature) || i}`,
+      name: text,
+      lat,
+      lon,
+      feature
+    }));
+  }
+
+  // Places in bounds (and through filterFeature), whether or not this zoom labels them.
+  getFeatureCount() {
+    if (!this.enabled || !this.geojson) return null;
+    if (this.featureCount?.source === this.geojson) return this.featureCount.count;
+
+    let count = 0;
+    for (const feature of this.geojson.features || []) {
+      if (feature?.geometry?.type !== 'Point') continue;
+      if (this.filterFeature && !this.safeFilter(feature)) continue;
+      const [lon, lat] = feature.geometry.coordinates || [];
+      if (this.inBounds(lat, lon)) count++;
     }
-    this._labelSprites = labelSprites;
-    this.updateLabelScales();
+    this.featureCount = { source: this.geojson, count };
+    return count;
   }
 
   refresh(globeRenderer) {
@@ -269,7 +399,7 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
 
     if (this.enabled) {
       this.disable(globeRenderer);
-      this.enable(globeRenderer);
+      return this.enable(globeRenderer);
     }
   }
 
@@ -307,7 +437,7 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
         });
     }
 
-    return this.dataPromise;
+    return this.cacheLoad('dataPromise', this.dataPromise);
   }
 
   inBounds(lat, lon) {
@@ -350,18 +480,22 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
     return new THREE.Points(geometry, this.pointsMaterial);
   }
 
-  buildLabelSprites(geojson) {
+  buildLabels(geojson) {
     const features = geojson?.features;
     if (!Array.isArray(features) || features.length === 0) return [];
 
     const rankCutoff = this.currentMaxScaleRank ?? this.maxScaleRank;
     const labelCap = this.currentMaxLabels ?? this.maxLabels;
 
-    const sprites = [];
+    const labels = [];
 
-    for (const feature of features) {
-      if (sprites.length >= labelCap) break;
-      if (!isImportantPlace(feature, rankCutoff)) continue;
+    // Most important first, so the label cap keeps the places that win collisions anyway.
+    const candidates = features
+      .filter((feature) => isImportantPlace(feature, rankCutoff))
+      .sort((a, b) => labelPriority(a) - labelPriority(b));
+
+    for (const feature of candidates) {
+      if (labels.length >= labelCap) break;
       if (this.filterFeature && !this.safeFilter(feature)) continue;
 
       const geometry = feature?.geometry;
@@ -373,97 +507,18 @@ export class NaturalEarthPopulatedPlacesLayer extends BaseLayer {
       const text = featureToLabelText(feature);
       if (!text) continue;
 
-      const sprite = this.createTextSprite(text);
-      if (!sprite) continue;
-
-      const pos = latLongToVector3(lat, lon, this.labelRadius);
-      sprite.position.set(pos.x, pos.y, pos.z);
-
-      sprites.push(sprite);
+      labels.push({
+        text,
+        style: this.labelStyleFor(feature),
+        position: latLongToVector3(lat, lon, this.labelRadius),
+        feature,
+        lat,
+        lon,
+        priority: labelPriority(feature),
+        visible: false
+      });
     }
 
-    return sprites;
-  }
-
-  createTextSprite(text) {
-    const scale = 2; // render at 2x for crispness
-    const fontPx = this.labelFontPx * scale;
-
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return null;
-
-    ctx.font = `600 ${fontPx}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, \"Liberation Mono\", monospace`;
-    const padX = 10 * scale;
-    const padY = 6 * scale;
-
-    const metrics = ctx.measureText(text);
-    const textW = Math.ceil(metrics.width);
-    const w = Math.min(Math.ceil((textW + padX * 2) / scale), this.labelMaxPxW) * scale;
-    const h = (this.labelFontPx + 10) * scale;
-
-    canvas.width = Math.max(32, w);
-    canvas.height = Math.max(16, h);
-
-    // Re-apply font after resizing
-    ctx.font = `600 ${fontPx}px ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, \"Liberation Mono\", monospace`;
-    ctx.textBaseline = 'middle';
-
-    // Shadow stroke for readability
-    ctx.lineWidth = 4 * scale;
-    ctx.strokeStyle = this.labelShadow;
-    ctx.fillStyle = this.labelColor;
-
-    const x = padX;
-    const y = canvas.height / 2;
-
-    ctx.strokeText(text, x, y);
-    ctx.fillText(text, x, y);
-
-    const texture = new THREE.CanvasTexture(canvas);
-    texture.colorSpace = THREE.SRGBColorSpace;
-    texture.minFilter = THREE.LinearFilter;
-    texture.magFilter = THREE.LinearFilter;
-    texture.generateMipmaps = false;
-    texture.needsUpdate = true;
-
-    const material = new THREE.SpriteMaterial({
-      map: texture,
-      transparent: true,
-      opacity: 0.95,
-      depthTest: true,
-      depthWrite: false
-    });
-
-    const sprite = new THREE.Sprite(material);
-    sprite.frustumCulled = false;
-
-    // store desired screen size
-    sprite.userData.desiredPxW = Math.min(canvas.width / scale, this.labelMaxPxW);
-    sprite.userData.aspect = canvas.height / canvas.width;
-
-    return sprite;
-  }
-
-  updateLabelScales() {
-    if (!this._globe || this._labelSprites.length === 0) return;
-
-    const cam = this._globe.camera;
-    const vw = this._globe.width || this._globe.renderer?.domElement?.clientWidth || 1;
-    const vh = this._globe.height || this._globe.renderer?.domElement?.clientHeight || 1;
-    if (!cam || vw <= 1 || vh <= 1) return;
-
-    for (const sprite of this._labelSprites) {
-      const desiredPxW = Number(sprite?.userData?.desiredPxW) || 80;
-      const aspect = Number(sprite?.userData?.aspect) || 0.25;
-
-      const dist = cam.position.distanceTo(sprite.position);
-      const fovRad = (cam.fov * Math.PI) / 180;
-      const viewHeightWorld = 2 * dist * Math.tan(fovRad / 2);
-      const viewWidthWorld = viewHeightWorld * cam.aspect;
-      const worldW = viewWidthWorld * (desiredPxW / vw);
-
-      sprite.scale.set(worldW, worldW * aspect, 1);
-    }
+    return labels;
   }
 }
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { FilteredBoundaryLayer } from './FilteredBoundaryLayer.js';
 import { latLongToVector3 } from '../globe/latLong.js';
+import { HorizonCuller } from '../globe/horizon.js';
 
 // Demo schedule data is loaded by the UI layer (static JSON).
 
@@ -13,6 +14,7 @@ const YORKSHIRE_HUMBER_BOUNDS = {
 
 // Globe radius is 1.0; keep label just above surface.
 const LABEL_SURFACE_RADIUS = 1.0025;
+const LABEL_OPACITY = 0.95;
 
 function normalizePostcode(value) {
   return String(value || '')
@@ -76,6 +78,7 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
 
     this._globe = null;
     this.labelSprite = null;
+    this.horizon = new HorizonCuller();
     this.labelTexture = null;
     this.labelMaterial = null;
     this.labelCanvas = null;
@@ -101,6 +104,7 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
 
     if (this.enabled) {
       this.updateFromSelectedSubarea();
+      this.notifyDataUpdated({ subareas: this.demoSubareas.length });
     }
   }
 
@@ -117,6 +121,7 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
         this.setFilterFn((feature) => feature?.properties?.id === 'E06000012');
       }
       this.updateFromSelectedSubarea();
+      this.notifyDataUpdated({ subareaId: id });
     }
   }
 
@@ -216,7 +221,7 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
     const material = new THREE.SpriteMaterial({
       map: texture,
       transparent: true,
-      opacity: 0.95,
+      opacity: LABEL_OPACITY,
       depthTest: true,
       depthWrite: false
     });
@@ -224,6 +229,8 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
     const sprite = new THREE.Sprite(material);
     sprite.scale.set(0.35, 0.14, 1);
     sprite.frustumCulled = false;
+    // The horizon culler fades the label from this each frame.
+    sprite.userData.baseOpacity = LABEL_OPACITY * this.opacity;
 
     this.labelCanvas = canvas;
     this.labelCtx = ctx;
@@ -231,7 +238,7 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
     this.labelMaterial = material;
     this.labelSprite = sprite;
 
-    globeRenderer.addObject(sprite);
+    globeRenderer.addObject(sprite, this.id);
     return sprite;
   }
 
@@ -321,8 +328,11 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
     const pos = latLongToVector3(anchor.lat, anchor.lon, LABEL_SURFACE_RADIUS);
     this.labelSprite.position.set(pos.x, pos.y, pos.z);
 
-    // Keep the label a consistent ON-SCREEN size so it doesn't balloon when zooming.
+    // Hidden once NE Lincolnshire rotates behind the globe.
     const cam = this._globe.camera;
+    if (cam && !this.horizon.update(cam).applyToSprite(this.labelSprite)) return;
+
+    // Keep the label a consistent ON-SCREEN size so it doesn't balloon when zooming.
     const vw = this._globe.width || this._globe.renderer?.domElement?.clientWidth || 1;
     const vh = this._globe.height || this._globe.renderer?.domElement?.clientHeight || 1;
 
@@ -411,8 +421,13 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
     this.updateLabelFromInfo(info);
   }
 
+  applyOpacity() {
+    super.applyOpacity();
+    if (this.labelSprite) this.labelSprite.userData.baseOpacity = LABEL_OPACITY * this.opacity;
+  }
+
   enable(globeRenderer) {
-    super.enable(globeRenderer);
+    const ready = super.enable(globeRenderer);
     this._globe = globeRenderer;
 
     // Keep label pinned (including screen-size scaling) during zoom/pan.
@@ -444,6 +459,8 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
         // If demo data is already available, render immediately.
         this.updateFromSelectedSubarea();
       });
+
+    return ready;
   }
 
   disable(globeRenderer) {
@@ -469,6 +486,6 @@ export class NelcBinDemoLayer extends FilteredBoundaryLayer {
   }
 
   refresh(globeRenderer) {
-    super.refresh(globeRenderer);
+    return super.refresh(globeRenderer);
   }
 }
@@ -7,10 +7,18 @@ export class SelectionHighlight {
 
     this.radius = options.radius ?? 1.007;
     this.haloRadius = options.haloRadius ?? 1.011;
-    this.maxSegmentRadians = ((options.maxSegmentDegrees ?? 1) * Math.PI) / 180;
+    this.maxSegmentDegrees = options.maxSegmentDegrees ?? 1;
+    this.maxSegmentRadians = (this.maxSegmentDegrees * Math.PI) / 180;
 
     this.highlights = [];
     this.geojsonCache = new Map();
+
+    // Steady outline instead of a pulse (prefers-reduced-motion).
+    this.reducedMotion = Boolean(options.reducedMotion);
+  }
+
+  setReducedMotion(enabled) {
+    this.reducedMotion = Boolean(enabled);
   }
 
   tick(nowMs) {
@@ -30,6 +38,8 @@ export class SelectionHighlight {
         continue;
       }
 
+      if (h.steady) continue;
+
       // Single-bump pulse with a steeper fade so it clears quickly.
       const fadeLinear = 1 - t;
       const fade = fadeLinear * fadeLinear;
@@ -45,6 +55,14 @@ export class SelectionHighlight {
   async loadGeoJson(dataUrl) {
     if (this.geojsonCache.has(dataUrl)) return this.geojsonCache.get(dataUrl);
 
+    // Fetch + TopoJSON conversion off the main thread when the renderer has a geometry worker.
+    const worker = this.globe?.geometryWorker;
+    if (worker) {
+      const promise = worker.loadGeoJson(dataUrl);
+      this.geojsonCache.set(dataUrl, promise);
+      return promise;
+    }
+
     const promise = fetch(dataUrl)
       .then((res) => {
         if (!res.ok) throw new Error(`Failed to fetch ${dataUrl}: ${res.status}`);
@@ -83,6 +101,28 @@ export class SelectionHighlight {
     this.flashGeometry(feature.geometry, { color, durationMs });
   }
 
+  // Outline polygons; box points with a marker that stays roughly the same size on screen.
+  flashFeature(feature, { color = 0xffff66, durationMs = 600 } = {}) {
+    const geometry = feature?.geometry;
+    if (!geometry) return;
+
+    if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+      this.flashGeometry(geometry, { color, durationMs });
+      return;
+    }
+
+    if (geometry.type === 'Point') {
+      const [lon, lat] = geometry.coordinates || [];
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+      const zoom = this.globe?.controls?.getZoomFactor?.() || 1;
+      const half = 1.5 / zoom;
+      this.flashBounds(
+        { minLat: lat - half, maxLat: lat + half, minLon: lon - half, maxLon: lon + half },
+        { color, durationMs, samplesPerEdge: 4 }
+      );
+    }
+  }
+
   flashBounds(bounds, { color = 0xffff66, durationMs = 360, samplesPerEdge = 24 } = {}) {
     if (!bounds) return;
 
@@ -109,16 +149,33 @@ export class SelectionHighlight {
   }
 
   flashGeometry(geometry, { color = 0xffff66, durationMs = 400 } = {}) {
-    const corePositions = this.geometryToLinePositions(geometry, this.radius);
-    if (corePositions.length === 0) return;
+    const worker = this.globe?.geometryWorker;
+    if (!worker) {
+      this.addHighlight(
+        this.geometryToLinePositions(geometry, this.radius),
+        this.geometryToLinePositions(geometry, this.haloRadius),
+        { color, durationMs }
+      );
+      return Promise.resolve();
+    }
 
-    const haloPositions = this.geometryToLinePositions(geometry, this.haloRadius);
+    // Subdivide in the worker; big polygons (countries) would otherwise stall a frame.
+    return worker
+      .linePositions(geometry, [this.radius, this.haloRadius], this.maxSegmentDegrees)
+      .then(([corePositions, haloPositions]) => this.addHighlight(corePositions, haloPositions, { color, durationMs }))
+      .catch((err) => console.warn('SelectionHighlight: failed to build outline', err));
+  }
+
+  addHighlight(corePositions, haloPositions, { color, durationMs }) {
+    if (!corePositions || corePositions.length === 0) return;
+
+    const toArray = (positions) => (positions instanceof Float32Array ? positions : new Float32Array(positions));
 
     const coreGeom = new THREE.BufferGeometry();
-    coreGeom.setAttribute('position', new THREE.Float32BufferAttribute(corePositions, 3));
+    coreGeom.setAttribute('position', new THREE.BufferAttribute(toArray(corePositions), 3));
 
     const haloGeom = new THREE.BufferGeometry();
-    haloGeom.setAttribute('position', new THREE.Float32BufferAttribute(haloPositions, 3));
+    haloGeom.setAttribute('position', new THREE.BufferAttribute(toArray(haloPositions), 3));
 
     const coreMat = new THREE.LineBasicMaterial({
       color,
@@ -142,12 +199,16 @@ export class SelectionHighlight {
     this.globe.addObject(haloLines);
     this.globe.addObject(coreLines);
 
+    // Reduced motion: hold a static outline a little longer instead of pulsing.
+    const steady = this.reducedMotion;
+
     this.highlights.push({
       objects: [haloLines, coreLines],
       materials: [haloMat, coreMat],
       baseOpacities: [haloMat.opacity, coreMat.opacity],
       startMs: performance.now(),
-      durationMs
+      durationMs: steady ? Math.max(durationMs, 900) : durationMs,
+      steady
     });
   }
 
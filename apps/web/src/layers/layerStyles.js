@@ -0,0 +1,52 @@
+/**
+ * Default style specs for the built-in layers, keyed by layer id.
+ *
+ * Plain data in the lib/style.js expression format, so colours and sizes can
+ * be changed here (or swapped at runtime with layer.setStyle) without touching
+ * layer code. Natural Earth scalerank runs ~2 (most important) to 9.
+ */
+
+export const LAYER_STYLES = {
+  'world-boundaries': {
+    lineColor: '#4a4a4a'
+  },
+
+  'uk-regions': {
+    lineColor: '#6ad4ff'
+  },
+
+  'uk-lad': {
+    lineColor: '#ffb020'
+  },
+
+  'ne-airports-uk': {
+    color: [
+      'case',
+      ['in', 'military', ['downcase', ['get', 'type']]], '#ff6b6b',
+      ['in', 'major', ['downcase', ['get', 'type']]], '#39d5ff',
+      '#a6ecff'
+    ],
+    size: ['interpolate', ['linear'], ['get', 'scalerank'], 2, 30, 9, 16],
+    clusterColor: '#39d5ff'
+  },
+
+  'ne-ports-uk': {
+    color: '#ffbf3b',
+    size: ['interpolate', ['linear'], ['get', 'scalerank'], 2, 28, 9, 16],
+    clusterColor: '#ffbf3b'
+  },
+
+  'flight-routes-demo': {
+    color: ['step', ['get', 'weekly'], '#39d5ff', 40, '#a6ecff'],
+    width: ['interpolate', ['linear'], ['get', 'weekly'], 7, 1.5, 70, 4],
+    opacity: 0.8
+  },
+
+  'ne-populated-places-uk': {
+    pointColor: '#00ff66',
+    pointOpacity: 0.65,
+    pointSize: 3,
+    labelColor: 'rgba(0,255,102,0.95)',
+    labelShadow: 'rgba(0,0,0,0.85)'
+  }
+};
@@ -0,0 +1,83 @@
+/**
+ * Deep links
+ *
+ * The shareable part of the view, kept in the URL hash so links (and PWA
+ * shortcuts) open the same view without a server round trip:
+ *
+ *   #view=<lat>,<lon>,<zoom>&layers=<id>,<id>&country=ENG&region=ENG_NW&lad=<LAD code>&feature=<hit key>
+ *
+ * `view` is the point at the centre of the screen and the camera zoom factor
+ * (CameraController.getZoomFactor). `feature` is a FeaturePicker hit key,
+ * `<layerId>:<feature id>`. Every part is optional; malformed parts are dropped.
+ */
+
+const LAT_LON_DIGITS = 4;
+const ZOOM_DIGITS = 2;
+
+// Commas (list separators) and colons (in feature keys) are left readable in the link.
+function encodeValue(value) {
+  return encodeURIComponent(value).replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+}
+
+/**
+ * Build the hash (with '#') for { view: { lat, lon, zoom }, layers, country, region, lad, feature }.
+ * Returns '' when there is nothing to link to.
+ */
+export function formatViewHash({ view = null, layers = null, country = null, region = null, lad = null, feature = null } = {}) {
+  const parts = [];
+
+  if (view && [view.lat, view.lon, view.zoom].every(Number.isFinite)) {
+    const lat = view.lat.toFixed(LAT_LON_DIGITS);
+    const lon = view.lon.toFixed(LAT_LON_DIGITS);
+    parts.push(`view=${lat},${lon},${view.zoom.toFixed(ZOOM_DIGITS)}`);
+  }
+  if (Array.isArray(layers)) parts.push(`layers=${layers.map(encodeValue).join(',')}`);
+  if (country) parts.push(`country=${encodeValue(country)}`);
+  if (region) parts.push(`region=${encodeValue(region)}`);
+  if (lad) parts.push(`lad=${encodeValue(lad)}`);
+  if (feature) parts.push(`feature=${encodeValue(feature)}`);
+
+  return parts.length > 0 ? `#${parts.join('&')}` : '';
+}
+
+/**
+ * Read a hash written by formatViewHash(). Returns null when it holds no link:
+ * { view: { lat, lon, zoom } | null, layers: [id] | null,
+ *   selection: { country?, region?, lad? }, feature: { layerId, key } | null }
+ */
+export function parseViewHash(hash) {
+  const text = String(hash || '').replace(/^#/, '');
+  if (!text) return null;
+
+  let params;
+  try {
+    params = new URLSearchParams(text);
+  } catch {
+    return null;
+  }
+
+  let view = null;
+  const viewParts = (params.get('view') || '').split(',').map(Number);
+  if (viewParts.length === 3 && viewParts.every(Number.isFinite)) {
+    const [lat, lon, zoom] = viewParts;
+    if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && zoom > 0) view = { lat, lon, zoom };
+  }
+
+  const layers = params.has('layers')
+    ? params.get('layers').split(',').map((id) => id.trim()).filter(Boolean)
+    : null;
+
+  const selection = {};
+  for (const name of ['country', 'region', 'lad']) {
+    const value = (params.get(name) || '').trim();
+    if (value) selection[name] = value;
+  }
+
+  let feature = null;
+  const key = (params.get('feature') || '').trim();
+  const split = key.indexOf(':');
+  if (split > 0 && split < key.length - 1) feature = { layerId: key.slice(0, split), key };
+
+  if (!view && !layers && Object.keys(selection).length === 0 && !feature) return null;
+  return { view, layers, selection, feature };
+}
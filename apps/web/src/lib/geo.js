@@ -16,3 +16,119 @@ export function loadGeoData(data) {
   // GeoJSON (FeatureCollection / Feature / Geometry)
   return data;
 }
+
+const NAME_KEYS = ['name', 'NAME', 'name_en', 'NAME_EN', 'LAD24NM', 'nameascii', 'NAMEASCII', 'ADMIN'];
+const ID_KEYS = ['id', 'LAD24CD', 'iata_code', 'ISO_A3', 'ADM0_A3', 'NE_ID', 'wikidataid', 'WIKIDATAID'];
+
+// Best human-readable name across the datasets we bundle (ONS, Natural Earth, local demos).
+export function featureName(feature) {
+  const props = feature?.properties || {};
+  for (const key of NAME_KEYS) {
+    const value = typeof props[key] === 'string' ? props[key].trim() : '';
+    if (value) return value;
+  }
+  return '';
+}
+
+// Stable identifier for a feature (dataset code where available, else the GeoJSON id).
+export function featureId(feature) {
+  const props = feature?.properties || {};
+  for (const key of ID_KEYS) {
+    const value = props[key];
+    if (value != null && String(value).trim() && String(value) !== '-99') return String(value).trim();
+  }
+  return feature?.id != null ? String(feature.id) : '';
+}
+
+export function geometryBounds(geometry) {
+  if (!geometry || !geometry.type || !geometry.coordinates) return null;
+
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+
+  const visit = (coords) => {
+    if (!coords) return;
+    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
+      const lon = coords[0];
+      const lat = coords[1];
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+      minLon = Math.min(minLon, lon);
+      maxLon = Math.max(maxLon, lon);
+      return;
+    }
+    if (Array.isArray(coords)) coords.forEach(visit);
+  };
+
+  visit(geometry.coordinates);
+
+  if (!Number.isFinite(minLat) || !Number.isFinite(maxLat) || !Number.isFinite(minLon) || !Number.isFinite(maxLon)) return null;
+  return { minLat, maxLat, minLon, maxLon };
+}
+
+// Representative point for labels/focus: dataset label hints first, then the bounds centre.
+export function featureAnchor(feature) {
+  const geometry = feature?.geometry;
+  if (geometry?.type === 'Point') {
+    const [lon, lat] = geometry.coordinates || [];
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+  }
+
+  const props = feature?.properties || {};
+  const hintLat = props.LABEL_Y ?? props.LAT;
+  const hintLon = props.LABEL_X ?? props.LONG;
+  if (Number.isFinite(hintLat) && Number.isFinite(hintLon)) {
+    return { lat: hintLat, lon: hintLon };
+  }
+
+  const bounds = geometryBounds(geometry);
+  if (!bounds) return null;
+  return { lat: (bounds.minLat + bounds.maxLat) / 2, lon: (bounds.minLon + bounds.maxLon) / 2 };
+}
+
+// Planar point-in-polygon on [lon, lat] rings (fine at the scales we pick at).
+export function pointInRing(lon, lat, ring) {
+  if (!Array.isArray(ring) || ring.length < 3) return false;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i]?.[0];
+    const yi = ring[i]?.[1];
+    const xj = ring[j]?.[0];
+    const yj = ring[j]?.[1];
+    if (!Number.isFinite(xi) || !Number.isFinite(yi) || !Number.isFinite(xj) || !Number.isFinite(yj)) continue;
+
+    const intersect = yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (intersect) inside = !inside;
+  }
+
+  return inside;
+}
+
+export function pointInPolygon(lon, lat, polygonRings) {
+  if (!Array.isArray(polygonRings) || polygonRings.length === 0) return false;
+  const outer = polygonRings[0];
+  if (!pointInRing(lon, lat, outer)) return false;
+  for (let i = 1; i < polygonRings.length; i++) {
+    if (pointInRing(lon, lat, polygonRings[i])) return false;
+  }
+  return true;
+}
+
+export function pointInMultiPolygon(lon, lat, multiPolygonCoords) {
+  if (!Array.isArray(multiPolygonCoords)) return false;
+  for (const polygonRings of multiPolygonCoords) {
+    if (pointInPolygon(lon, lat, polygonRings)) return true;
+  }
+  return false;
+}
+
+export function pointInGeometry(lon, lat, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') return pointInPolygon(lon, lat, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') return pointInMultiPolygon(lon, lat, geometry.coordinates);
+  return false;
+}
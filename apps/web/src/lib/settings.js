@@ -0,0 +1,182 @@
+/**
+ * Settings store
+ *
+ * One versioned JSON document in localStorage. A document written by an older
+ * build is upgraded one version at a time through MIGRATIONS when it is
+ * loaded, so changing the shape means adding a migration, not a new key.
+ *
+ * Versions:
+ * 1  { showFps, showDayNight, showTimeZones } under 'sm-settings-v1' (no version field)
+ * 2  {
+ *      version,
+ *      display:   { showFps, showDayNight, showTimeZones },
+ *      layers:    { enabled: [id] | null (app defaults), order: [id] (bottom to top),
+ *                   options: { [id]: { opacity } } },
+ *      camera:    { theta, phi, radius, fov } | null,
+ *      selection: { country, region, lad },
+ *      bin:       { subareaId }
+ *    }
+ */
+
+export const SETTINGS_VERSION = 2;
+export const SETTINGS_STORAGE_KEY = 'sm-settings';
+
+// Keys older builds wrote to, newest first, with the version their documents are at.
+const LEGACY_KEYS = [{ key: 'sm-settings-v1', version: 1 }];
+
+const SAVE_DELAY_MS = 400;
+
+// MIGRATIONS[n] turns a version n document into version n + 1.
+const MIGRATIONS = {
+  1: (doc) => ({
+    version: 2,
+    display: {
+      showFps: doc.showFps,
+      showDayNight: doc.showDayNight,
+      showTimeZones: doc.showTimeZones
+    }
+  })
+};
+
+export function defaultSettings() {
+  return {
+    version: SETTINGS_VERSION,
+    display: { showFps: false, showDayNight: false, showTimeZones: false },
+    layers: { enabled: null, order: [], options: {} },
+    camera: null,
+    selection: { country: 'UK', region: null, lad: '' },
+    bin: { subareaId: null }
+  };
+}
+
+/**
+ * Bring a stored document up to SETTINGS_VERSION. Returns null for documents
+ * that can't be read (newer than this build, or a migration failed).
+ */
+export function migrateSettings(doc, fromVersion = doc?.version) {
+  if (!doc || typeof doc !== 'object') return null;
+
+  let version = Number(fromVersion) || 1;
+  if (version > SETTINGS_VERSION) return null;
+
+  let current = doc;
+  while (version < SETTINGS_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) return null;
+    try {
+      current = migrate(current);
+    } catch (err) {
+      console.warn(`Settings: migration from v${version} failed`, err);
+      return null;
+    }
+    version++;
+  }
+  return normalizeSettings(current);
+}
+
+// Fill in defaults and coerce types, so callers can trust the shape.
+function normalizeSettings(doc) {
+  const defaults = defaultSettings();
+  const display = doc?.display || {};
+  const layers = doc?.layers || {};
+  const camera = doc?.camera;
+  const selection = doc?.selection || {};
+
+  const options = {};
+  for (const [id, value] of Object.entries(layers.options || {})) {
+    const opacity = Number(value?.opacity);
+    if (Number.isFinite(opacity)) options[id] = { opacity: Math.max(0, Math.min(1, opacity)) };
+  }
+
+  const cameraValid = camera && ['theta', 'phi', 'radius', 'fov'].every((k) => Number.isFinite(camera[k]));
+
+  return {
+    version: SETTINGS_VERSION,
+    display: {
+      showFps: Boolean(display.showFps),
+      showDayNight: Boolean(display.showDayNight),
+      showTimeZones: Boolean(display.showTimeZones)
+    },
+    layers: {
+      enabled: Array.isArray(layers.enabled) ? layers.enabled.filter((id) => typeof id === 'string') : null,
+      order: Array.isArray(layers.order) ? layers.order.filter((id) => typeof id === 'string') : [],
+      options
+    },
+    camera: cameraValid
+      ? { theta: camera.theta, phi: camera.phi, radius: camera.radius, fov: camera.fov }
+      : null,
+    selection: {
+      country: typeof selection.country === 'string' && selection.country ? selection.country : defaults.selection.country,
+      region: typeof selection.region === 'string' && selection.region ? selection.region : null,
+      lad: typeof selection.lad === 'string' ? selection.lad : ''
+    },
+    bin: {
+      subareaId: typeof doc?.bin?.subareaId === 'string' && doc.bin.subareaId ? doc.bin.subareaId : null
+    }
+  };
+}
+
+export class SettingsStore {
+  constructor({ storage = globalThis.localStorage, key = SETTINGS_STORAGE_KEY } = {}) {
+    this.storage = storage;
+    this.key = key;
+    this.state = defaultSettings();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read (and migrate) the stored document. A legacy document is moved to the
+   * current key so it is only migrated once.
+   */
+  load() {
+    const current = this.read(this.key);
+    if (current) {
+      this.state = migrateSettings(current) || defaultSettings();
+      return this.state;
+    }
+
+    for (const { key, version } of LEGACY_KEYS) {
+      const legacy = this.read(key);
+      if (!legacy) continue;
+
+      this.state = migrateSettings(legacy, legacy.version ?? version) || defaultSettings();
+      this.save();
+      try {
+        this.storage?.removeItem(key);
+      } catch {
+        // ignore: the legacy copy is simply left behind
+      }
+      return this.state;
+    }
+
+    this.state = defaultSettings();
+    return this.state;
+  }
+
+  read(key) {
+    try {
+      const raw = this.storage?.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      this.storage?.setItem(this.key, JSON.stringify(this.state));
+    } catch {
+      // ignore persistence errors (private mode, quota, etc.)
+    }
+  }
+
+  // Coalesce bursts (camera moves, slider drags) into one write.
+  saveSoon() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+}
@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+
+/**
+ * Declarative style values for layers.
+ *
+ * A style value is one of:
+ * - a constant (number, string, boolean, colour)
+ * - a function (feature, zoom) => value
+ * - an expression array, evaluated per feature and/or camera zoom factor:
+ *
+ *   ['get', 'scalerank']                       feature property (falls back to UPPER/lower case)
+ *   ['zoom']                                   camera zoom factor (1 = default view)
+ *   ['literal', value]                         value as-is (e.g. an array)
+ *   ['match', input, label, out, [l1, l2], out, fallback]
+ *   ['interpolate', ['linear'], input, stop, out, stop, out, ...]   numbers or colours
+ *   ['step', input, out0, stop1, out1, ...]
+ *   ['case', cond, out, cond, out, ..., fallback]
+ *   ['coalesce', a, b, ...]
+ *   ['==', a, b]  ['!=', a, b]  ['<', a, b]  ['<=', a, b]  ['>', a, b]  ['>=', a, b]
+ *   ['!', a]  ['all', ...]  ['any', ...]
+ *   ['has', 'prop']  ['in', needle, haystack]  (substring or array membership)
+ *   ['to-number', value, fallback]  ['downcase', value]
+ *   ['+', ...]  ['-', a, b]  ['*', ...]  ['/', a, b]  ['min', ...]  ['max', ...]
+ *
+ * Colours may be anything THREE.Color accepts ('#39d5ff', 0x39d5ff, 'orange');
+ * interpolated colours come back as hex numbers.
+ *
+ * compileStyle() turns a spec ({ key: styleValue }) into evaluators
+ * (feature, zoom) => value, each flagged with `zoomDependent` and
+ * `featureDependent` so layers know when to re-evaluate. An array headed by
+ * a string that isn't an operator throws at compile time; other plain arrays
+ * need ['literal', [...]] (match label lists are read as-is).
+ */
+
+function getProperty(feature, name) {
+  const props = feature?.properties;
+  if (!props) return null;
+  if (props[name] != null) return props[name];
+  const upper = props[String(name).toUpperCase()];
+  if (upper != null) return upper;
+  const lower = props[String(name).toLowerCase()];
+  return lower ?? null;
+}
+
+function toNumber(value) {
+  if (value == null || value === '') return NaN;
+  return Number(value);
+}
+
+function lerpOutput(a, b, t) {
+  if (typeof a === 'number' && typeof b === 'number') return a + (b - a) * t;
+
+  // Colours: blend in linear space.
+  try {
+    return new THREE.Color(a).lerp(new THREE.Color(b), t).getHex();
+  } catch {
+    return t < 0.5 ? a : b;
+  }
+}
+
+// op -> (compiled argument evaluators) => evaluator (feature, zoom) => value.
+const OPERATORS = {
+  get: ([name]) => (feature, zoom) => getProperty(feature, name(feature, zoom)),
+  zoom: () => (feature, zoom) => zoom,
+  has: ([name]) => (feature, zoom) => getProperty(feature, name(feature, zoom)) != null,
+
+  match: (args) => {
+    const [input, ...rest] = args;
+    const fallback = rest.length % 2 === 1 ? rest.pop() : () => null;
+    const cases = [];
+    for (let i = 0; i < rest.length; i += 2) {
+      const labels = rest[i].literal;
+      cases.push({ labels: Array.isArray(labels) ? labels : [labels], output: rest[i + 1] });
+    }
+    return (feature, zoom) => {
+      const value = input(feature, zoom);
+      const hit = cases.find(({ labels }) => labels.includes(value));
+      return hit ? hit.output(feature, zoom) : fallback(feature, zoom);
+    };
+  },
+
+  interpolate: ([, input, ...rest]) => {
+    const stops = [];
+    for (let i = 0; i + 1 < rest.length; i += 2) stops.push({ at: rest[i].literal, output: rest[i + 1] });
+    if (stops.length === 0) throw new Error('interpolate needs at least one stop');
+
+    return (feature, zoom) => {
+      const x = toNumber(input(feature, zoom));
+      if (!Number.isFinite(x) || x <= stops[0].at) return stops[0].output(feature, zoom);
+
+      for (let i = 1; i < stops.length; i++) {
+        if (x <= stops[i].at) {
+          const a = stops[i - 1];
+          const b = stops[i];
+          const t = (x - a.at) / (b.at - a.at || 1);
+          return lerpOutput(a.output(feature, zoom), b.output(feature, zoom), t);
+        }
+      }
+      return stops[stops.length - 1].output(feature, zoom);
+    };
+  },
+
+  step: ([input, base, ...rest]) => {
+    const stops = [];
+    for (let i = 0; i + 1 < rest.length; i += 2) stops.push({ at: rest[i].literal, output: rest[i + 1] });
+
+    return (feature, zoom) => {
+      const x = toNumber(input(feature, zoom));
+      let output = base;
+      if (Number.isFinite(x)) {
+        for (const stop of stops) {
+          if (x < stop.at) break;
+          output = stop.output;
+        }
+      }
+      return output(feature, zoom);
+    };
+  },
+
+  case: (args) => {
+    const fallback = args.length % 2 === 1 ? args[args.length - 1] : () => null;
+    return (feature, zoom) => {
+      for (let i = 0; i + 1 < args.length; i += 2) {
+        if (args[i](feature, zoom)) return args[i + 1](feature, zoom);
+      }
+      return fallback(feature, zoom);
+    };
+  },
+
+  coalesce: (args) => (feature, zoom) => {
+    for (const arg of args) {
+      const value = arg(feature, zoom);
+      if (value != null) return value;
+    }
+    return null;
+  },
+
+  '==': ([a, b]) => (feature, zoom) => a(feature, zoom) === b(feature, zoom),
+  '!=': ([a, b]) => (feature, zoom) => a(feature, zoom) !== b(feature, zoom),
+  '<': ([a, b]) => (feature, zoom) => toNumber(a(feature, zoom)) < toNumber(b(feature, zoom)),
+  '<=': ([a, b]) => (feature, zoom) => toNumber(a(feature, zoom)) <= toNumber(b(feature, zoom)),
+  '>': ([a, b]) => (feature, zoom) => toNumber(a(feature, zoom)) > toNumber(b(feature, zoom)),
+  '>=': ([a, b]) => (feature, zoom) => toNumber(a(feature, zoom)) >= toNumber(b(feature, zoom)),
+  '!': ([a]) => (feature, zoom) => !a(feature, zoom),
+  all: (args) => (feature, zoom) => args.every((arg) => arg(feature, zoom)),
+  any: (args) => (feature, zoom) => args.some((arg) => arg(feature, zoom)),
+
+  in: ([needle, haystack]) => (feature, zoom) => {
+    const value = needle(feature, zoom);
+    const within = haystack(feature, zoom);
+    if (Array.isArray(within)) return within.includes(value);
+    if (within == null || value == null) return false;
+    return String(within).includes(String(value));
+  },
+
+  'to-number': ([value, fallback = () => 0]) => (feature, zoom) => {
+    const n = toNumber(value(feature, zoom));
+    return Number.isFinite(n) ? n : fallback(feature, zoom);
+  },
+  downcase: ([value]) => (feature, zoom) => String(value(feature, zoom) ?? '').toLowerCase(),
+
+  '+': (args) => (feature, zoom) => args.reduce((sum, arg) => sum + toNumber(arg(feature, zoom)), 0),
+  '-': ([a, b]) => (feature, zoom) =>
+    b ? toNumber(a(feature, zoom)) - toNumber(b(feature, zoom)) : -toNumber(a(feature, zoom)),
+  '*': (args) => (feature, zoom) => args.reduce((product, arg) => product * toNumber(arg(feature, zoom)), 1),
+  '/': ([a, b]) => (feature, zoom) => toNumber(a(feature, zoom)) / toNumber(b(feature, zoom)),
+  min: (args) => (feature, zoom) => Math.min(...args.map((arg) => toNumber(arg(feature, zoom)))),
+  max: (args) => (feature, zoom) => Math.max(...args.map((arg) => toNumber(arg(feature, zoom))))
+};
+
+// Operators whose result depends on the feature / the zoom, independent of their arguments.
+const FEATURE_OPERATORS = new Set(['get', 'has']);
+const ZOOM_OPERATORS = new Set(['zoom']);
+
+function compileNode(value, uses) {
+  if (typeof value === 'function') {
+    uses.add('feature');
+    if (value.length > 1) uses.add('zoom');
+    return value;
+  }
+
+  if (!Array.isArray(value)) {
+    const constant = () => value;
+    constant.literal = value;
+    return constant;
+  }
+
+  const [op, ...rawArgs] = value;
+  if (op === 'literal') {
+    const constant = () => rawArgs[0];
+    constant.literal = rawArgs[0];
+    return constant;
+  }
+
+  // A string head is always meant as an operator; other plain arrays (e.g. [0, 0, 1]) are literals.
+  if (typeof op === 'string' && !(op in OPERATORS)) throw new Error(`Unknown style operator: ${op}`);
+  if (typeof op !== 'string') {
+    const constant = () => value;
+    constant.literal = value;
+    return constant;
+  }
+
+  if (FEATURE_OPERATORS.has(op)) uses.add('feature');
+  if (ZOOM_OPERATORS.has(op)) uses.add('zoom');
+
+  // interpolate's first argument is the curve type (['linear']) and match labels are
+  // values (['A', 'B'] is a label list), not expressions.
+  const args = rawArgs.map((arg, i) => {
+    if (op === 'interpolate' && i === 0) return arg;
+    if (op === 'match' && i % 2 === 1 && i + 1 < rawArgs.length) return compileNode(['literal', arg], uses);
+    return compileNode(arg, uses);
+  });
+  return OPERATORS[op](args);
+}
+
+/**
+ * Compile one style value to (feature, zoom) => value.
+ */
+export function compileStyleValue(value) {
+  const uses = new Set();
+  const evaluate = compileNode(value, uses);
+  const compiled = (feature = null, zoom = 1) => evaluate(feature, zoom);
+  compiled.featureDependent = uses.has('feature');
+  compiled.zoomDependent = uses.has('zoom');
+  return compiled;
+}
+
+/**
+ * Compile every key of a style spec, filling gaps from `defaults`.
+ * Keys whose value is undefined in both are left out.
+ */
+export function compileStyle(spec = {}, defaults = {}) {
+  const compiled = {};
+  for (const key of new Set([...Object.keys(defaults), ...Object.keys(spec || {})])) {
+    const value = spec?.[key] !== undefined ? spec[key] : defaults[key];
+    if (value === undefined) continue;
+    compiled[key] = compileStyleValue(value);
+  }
+  return compiled;
+}
+
+// True when any compiled value in the style reacts to zoom.
+export function styleUsesZoom(style) {
+  return Object.values(style || {}).some((evaluate) => evaluate?.zoomDependent);
+}
@@ -10,14 +10,27 @@
  */
 
 import { GlobeRenderer } from './globe/GlobeRenderer.js';
-import { LayerManager } from './layers/LayerManager.js';
+import { LAYER_STATE, LayerManager } from './layers/LayerManager.js';
 import { BoundaryLayer } from './layers/BoundaryLayer.js';
+import { GraticuleLayer } from './layers/GraticuleLayer.js';
 import { NaturalEarthPointsZipLayer } from './layers/NaturalEarthPointsZipLayer.js';
 import { NaturalEarthPopulatedPlacesLayer } from './layers/NaturalEarthPopulatedPlacesLayer.js';
 import { NelcBinDemoLayer } from './layers/NelcBinDemoLayer.js';
+import { HeatmapLayer } from './layers/HeatmapLayer.js';
+import { ArcLayer } from './layers/ArcLayer.js';
+import { LAYER_STYLES } from './layers/layerStyles.js';
 import { SelectionHighlight } from './layers/SelectionHighlight.js';
 import { LayersPanel } from './ui/LayersPanel.js';
 import { BinPanel } from './ui/BinPanel.js';
+import { DetailsPanel, detailRow } from './ui/DetailsPanel.js';
+import { FeatureNavigator } from './ui/FeatureNavigator.js';
+import { FeatureTooltip } from './ui/FeatureTooltip.js';
+import { FeaturePicker } from './globe/FeaturePicker.js';
+import { GeometryWorkerClient } from './workers/GeometryWorkerClient.js';
+import { featureId, featureName, pointInMultiPolygon, pointInPolygon } from './lib/geo.js';
+import { SettingsStore, defaultSettings } from './lib/settings.js';
+import { formatViewHash, parseViewHash } from './lib/deepLink.js';
+import { vector3ToLatLong } from './globe/latLong.js';
 
 const assetUrl = (relativePath) => new URL(relativePath, window.location.href).toString();
 
@@ -29,6 +42,9 @@ if (!container) {
 const globe = new GlobeRenderer(container);
 globe.init();
 
+// Boundary fetch/TopoJSON conversion/line building runs in a worker (layers and highlight pick it up from here).
+globe.geometryWorker = new GeometryWorkerClient();
+
 // FPS overlay (centered below top bar)
 const fpsEl = document.getElementById('fps');
 let fpsEma = null;
@@ -38,35 +54,23 @@ const settingsMinBtn = document.getElementById('settingsMinBtn');
 const settingsPanel = document.getElementById('settings-panel');
 const toggleFpsCheckbox = document.getElementById('toggleFps');
 const sparkleBtn = document.getElementById('sparkleBtn');
+const toggleDayNightCheckbox = document.getElementById('toggleDayNight');
+const toggleTimeZonesCheckbox = document.getElementById('toggleTimeZones');
+const timeOffsetInput = document.getElementById('timeOffset');
+const timeNowBtn = document.getElementById('timeNowBtn');
+const timeReadout = document.getElementById('timeReadout');
 
-const SETTINGS_STORAGE_KEY = 'sm-settings-v1';
-const defaultSettings = {
-  showFps: false
-};
-
-const loadSettings = () => {
-  try {
-    const raw = localStorage.getItem(SETTINGS_STORAGE_KEY);
-    if (!raw) return { ...defaultSettings };
-    const parsed = JSON.parse(raw);
-    return {
-      ...defaultSettings,
-      showFps: Boolean(parsed.showFps)
-    };
-  } catch {
-    return { ...defaultSettings };
-  }
-};
+// Persisted across sessions (lib/settings.js): display toggles here, plus layers,
+// camera, country/region/LAD selection and bin sub-area further down.
+const settingsStore = new SettingsStore();
+settingsStore.load();
+const settingsState = settingsStore.state.display;
 
-const settingsState = loadSettings();
+const persistSettings = () => settingsStore.save();
+window.addEventListener('pagehide', () => settingsStore.save());
 
-const persistSettings = () => {
-  try {
-    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settingsState));
-  } catch {
-    // ignore persistence errors (private mode, quota, etc.)
-  }
-};
+// A link's hash (lib/deepLink.js) wins over the last session for the view it describes.
+const deepLink = parseViewHash(window.location.hash);
 
 const applyFpsVisibility = () => {
   if (!fpsEl) return;
@@ -118,6 +122,58 @@ if (toggleFpsCheckbox) {
   });
 }
 
+// Day/night: the slider scrubs the sun up to a day either side of "now"; 0 follows the clock.
+let timeOffsetHours = 0;
+
+const formatUtc = (date) => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+const updateTimeReadout = () => {
+  if (!timeReadout) return;
+  const time = globe.getSimulationTime();
+  if (timeOffsetHours === 0) {
+    timeReadout.textContent = `${formatUtc(time)} (live)`;
+    return;
+  }
+  const sign = timeOffsetHours > 0 ? '+' : '−';
+  timeReadout.textContent = `${formatUtc(time)} (${sign}${Math.abs(timeOffsetHours)} h)`;
+};
+
+const applyTimeOffset = (hours) => {
+  timeOffsetHours = Number.isFinite(hours) ? hours : 0;
+  globe.setTimeOverride(timeOffsetHours === 0 ? null : Date.now() + timeOffsetHours * 3_600_000);
+  if (timeOffsetInput) timeOffsetInput.value = String(timeOffsetHours);
+  updateTimeReadout();
+};
+
+const applyDayNight = () => {
+  globe.setDayNightEnabled(settingsState.showDayNight);
+  if (timeOffsetInput) timeOffsetInput.disabled = !settingsState.showDayNight;
+  if (timeNowBtn) timeNowBtn.disabled = !settingsState.showDayNight;
+  persistSettings();
+};
+
+if (toggleDayNightCheckbox) {
+  toggleDayNightCheckbox.checked = settingsState.showDayNight;
+  toggleDayNightCheckbox.addEventListener('change', () => {
+    settingsState.showDayNight = Boolean(toggleDayNightCheckbox.checked);
+    applyDayNight();
+  });
+}
+
+timeOffsetInput?.addEventListener('input', () => applyTimeOffset(Number(timeOffsetInput.value)));
+timeNowBtn?.addEventListener('click', () => applyTimeOffset(0));
+
+applyDayNight();
+applyTimeOffset(0);
+
+// Keep the live clock readout ticking while settings are open.
+let timeReadoutLastMs = 0;
+globe.addTickHandler(({ nowMs }) => {
+  if (timeOffsetHours !== 0 || settingsPanel?.hasAttribute('hidden')) return;
+  if (nowMs - timeReadoutLastMs < 1000) return;
+  timeReadoutLastMs = nowMs;
+  updateTimeReadout();
+});
 
 if (sparkleBtn) {
   sparkleBtn.addEventListener('click', () => {
@@ -199,6 +255,31 @@ globe.clearStatus = clearStatus;
 const selectionHighlight = new SelectionHighlight(globe);
 globe.addTickHandler(({ nowMs }) => selectionHighlight.tick(nowMs));
 
+// Feature picking (hover tooltips + click selection). Layers register on enable via globe.picker.
+const picker = new FeaturePicker(globe);
+picker.init();
+globe.picker = picker;
+
+const appEl = document.getElementById('app');
+const featureTooltip = new FeatureTooltip(appEl, picker);
+featureTooltip.init();
+
+picker.addEventListener('feature-selected', (event) => {
+  const hit = event.detail;
+  if (!hit) return;
+  selectionHighlight.flashFeature(hit.feature, { color: 0xb3f5ff, durationMs: 600 });
+});
+
+// Reduced motion: no star twinkle, no highlight pulses, camera jumps instead of flying.
+const reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+const applyReducedMotion = () => {
+  const reduced = Boolean(reducedMotionQuery?.matches);
+  globe.setReducedMotion(reduced);
+  selectionHighlight.setReducedMotion(reduced);
+};
+applyReducedMotion();
+reducedMotionQuery?.addEventListener?.('change', applyReducedMotion);
+
 // UK polygon mask (more accurate than a bounding box; excludes Ireland/nearby waters).
 let ukContainsLatLon = null;
 
@@ -217,42 +298,6 @@ const isUkFeature = (feature, lat, lon) => {
   return withinPoly || withinBox || isUkCode;
 };
 
-function pointInRing(lon, lat, ring) {
-  if (!Array.isArray(ring) || ring.length < 3) return false;
-  let inside = false;
-
-  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-    const xi = ring[i]?.[0];
-    const yi = ring[i]?.[1];
-    const xj = ring[j]?.[0];
-    const yj = ring[j]?.[1];
-    if (!Number.isFinite(xi) || !Number.isFinite(yi) || !Number.isFinite(xj) || !Number.isFinite(yj)) continue;
-
-    const intersect = yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
-    if (intersect) inside = !inside;
-  }
-
-  return inside;
-}
-
-function pointInPolygon(lon, lat, polygonRings) {
-  if (!Array.isArray(polygonRings) || polygonRings.length === 0) return false;
-  const outer = polygonRings[0];
-  if (!pointInRing(lon, lat, outer)) return false;
-  for (let i = 1; i < polygonRings.length; i++) {
-    if (pointInRing(lon, lat, polygonRings[i])) return false;
-  }
-  return true;
-}
-
-function pointInMultiPolygon(lon, lat, multiPolygonCoords) {
-  if (!Array.isArray(multiPolygonCoords)) return false;
-  for (const polygonRings of multiPolygonCoords) {
-    if (pointInPolygon(lon, lat, polygonRings)) return true;
-  }
-  return false;
-}
-
 function buildUkContainsFn(geojson) {
   const feature = geojson?.features?.[0];
   const geom = feature?.geometry;
@@ -371,41 +416,10 @@ function boundsFromOption(optEl) {
   return { minLat, maxLat, minLon, maxLon };
 }
 
+// Resolves true once the camera lands (false if the user grabbed the globe mid-flight).
 function focusBounds(bounds) {
-  if (!globe.controls) return;
-  globe.controls.focusOn(bounds);
-}
-
-function geometryBounds(geometry) {
-  if (!geometry || !geometry.type || !geometry.coordinates) return null;
-
-  let minLat = Infinity;
-  let maxLat = -Infinity;
-  let minLon = Infinity;
-  let maxLon = -Infinity;
-
-  const visit = (coords) => {
-    if (typeof coords[0] === 'number' && typeof coords[1] === 'number') {
-      const lon = coords[0];
-      const lat = coords[1];
-      if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
-      minLat = Math.min(minLat, lat);
-      maxLat = Math.max(maxLat, lat);
-      minLon = Math.min(minLon, lon);
-      maxLon = Math.max(maxLon, lon);
-      return;
-    }
-    if (Array.isArray(coords)) coords.forEach(visit);
-  };
-
-  if (geometry.type === 'Polygon') {
-    visit(geometry.coordinates);
-  } else if (geometry.type === 'MultiPolygon') {
-    visit(geometry.coordinates);
-  }
-
-  if (!Number.isFinite(minLat) || !Number.isFinite(maxLat) || !Number.isFinite(minLon) || !Number.isFinite(maxLon)) return null;
-  return { minLat, maxLat, minLon, maxLon };
+  if (!globe.controls) return Promise.resolve(false);
+  return globe.controls.focusOn(bounds);
 }
 
 function renderLadOptions() {
@@ -418,42 +432,40 @@ function renderLadOptions() {
   });
 }
 
+function findLad(value) {
+  if (!value) return null;
+  return ladIndex.find((item) => value === `${item.name} (${item.id})` || value === item.name || value === item.id) || null;
+}
+
 function selectLad(value) {
-  if (!value) return;
-  const match = ladIndex.find((item) => value === `${item.name} (${item.id})` || value === item.name || value === item.id);
+  const match = findLad(value);
   if (match && match.bounds) {
-    focusBounds(match.bounds);
-
-    selectionHighlight
-      .flashGeoJsonFeature({
-        dataUrl: assetUrl('src/data/uk-lads.v1.topo.json'),
-        matchFn: (f) => f?.properties?.id === match.id,
-        color: 0x00ff66,
-        durationMs: 300
-      })
+    // Flash once the flight lands so the highlight isn't spent mid-motion (none if it was cut short).
+    focusBounds(match.bounds)
+      .then((landed) =>
+        landed &&
+        selectionHighlight.flashGeoJsonFeature({
+          dataUrl: assetUrl('src/data/uk-lads.v1.topo.json'),
+          matchFn: (f) => f?.properties?.id === match.id,
+          color: 0x00ff66,
+          durationMs: 300
+        })
+      )
       .catch(() => {});
   }
 }
 
 async function loadLads() {
   try {
-    const resp = await fetch(assetUrl('src/data/uk-lads.v1.topo.json'));
-    const raw = await resp.json();
-    let data = raw;
-    try {
-      const { loadGeoData } = await import('./lib/geo.js');
-      data = await loadGeoData(raw);
-    } catch (err) {
-      // If conversion fails, fall back to raw payload
-      data = raw;
-    }
-    ladIndex = (data.features || []).map((feature) => {
-      const props = feature.properties || {};
+    // The worker converts the topology and computes bounds; only properties + bounds come back.
+    const features = await globe.geometryWorker.summarize(assetUrl('src/data/uk-lads.v1.topo.json'));
+    ladIndex = features.map(({ properties, bounds }) => {
+      const props = properties || {};
       const name = (props.name || '').trim() || props.id || 'Unknown LAD';
       return {
         id: props.id,
         name,
-        bounds: geometryBounds(feature.geometry)
+        bounds
       };
     });
     renderLadOptions();
@@ -462,75 +474,129 @@ async function loadLads() {
   }
 }
 
+const rememberSelection = () => {
+  settingsStore.state.selection = {
+    country: countrySelect?.value || 'UK',
+    region: regionSelect?.value || null,
+    lad: ladInput?.value || ''
+  };
+  settingsStore.save();
+};
+
 if (countrySelect) {
   countrySelect.addEventListener('change', () => {
     const code = countrySelect.value || 'UK';
     populateRegions(code);
-    focusBounds(UK_BOUNDS[code] || UK_BOUNDS.UK);
+    rememberSelection();
+    const landed = focusBounds(UK_BOUNDS[code] || UK_BOUNDS.UK);
 
     const countryId = UK_COUNTRY_ID_BY_CODE[code];
-    if (countryId) {
-      selectionHighlight
-        .flashGeoJsonFeature({
-          dataUrl: assetUrl('src/data/uk-regions.json'),
-          matchFn: (f) => f?.properties?.id === countryId,
+    landed.then((ok) => {
+      if (!ok) return;
+      if (countryId) {
+        selectionHighlight
+          .flashGeoJsonFeature({
+            dataUrl: assetUrl('src/data/uk-regions.json'),
+            matchFn: (f) => f?.properties?.id === countryId,
+            color: 0xb3f5ff,
+            durationMs: 300
+          })
+          .catch(() => {});
+      } else {
+        selectionHighlight.flashBounds(UK_BOUNDS[code] || UK_BOUNDS.UK, {
           color: 0xb3f5ff,
           durationMs: 300
-        })
-        .catch(() => {});
-    } else {
-      selectionHighlight.flashBounds(UK_BOUNDS[code] || UK_BOUNDS.UK, {
-        color: 0xb3f5ff,
-        durationMs: 300
-      });
-    }
+        });
+      }
+    });
   });
 }
 
 if (regionSelect) {
   regionSelect.addEventListener('change', () => {
+    rememberSelection();
     const opt = regionSelect.options[regionSelect.selectedIndex];
     const bounds = boundsFromOption(opt);
+    let landed = Promise.resolve(true);
     if (bounds) {
-      focusBounds(bounds);
+      landed = focusBounds(bounds);
+      // Chains onto the focus flight, so `landed` resolves after the zoom too.
       globe.controls?.ensureZoomAtLeast?.(6.0);
     }
 
     const regionName = opt?.textContent?.trim();
 
     // Try true region boundaries (if english-regions.json is populated); otherwise fall back to bounds box.
-    selectionHighlight
-      .flashGeoJsonFeature({
-        dataUrl: assetUrl('src/data/english-regions.json'),
-        matchFn: (f) => {
-          const props = f?.properties || {};
-          const name = (props.name || '').trim();
-          return regionName && name.toLowerCase() === regionName.toLowerCase();
-        },
-        color: 0x00ff66,
-        durationMs: 300
-      })
-      .catch(() => {
-        if (bounds) {
-          selectionHighlight.flashBounds(bounds, {
-            color: 0x00ff66,
-            durationMs: 300
-          });
-        }
-      });
+    landed.then((ok) => {
+      if (!ok) return;
+      selectionHighlight
+        .flashGeoJsonFeature({
+          dataUrl: assetUrl('src/data/english-regions.json'),
+          matchFn: (f) => {
+            const props = f?.properties || {};
+            const name = (props.name || '').trim();
+            return regionName && name.toLowerCase() === regionName.toLowerCase();
+          },
+          color: 0x00ff66,
+          durationMs: 300
+        })
+        .catch(() => {
+          if (bounds) {
+            selectionHighlight.flashBounds(bounds, {
+              color: 0x00ff66,
+              durationMs: 300
+            });
+          }
+        });
+    });
   });
 }
 
 if (ladInput) {
-  ladInput.addEventListener('change', () => selectLad(ladInput.value));
+  ladInput.addEventListener('change', () => {
+    rememberSelection();
+    selectLad(ladInput.value);
+  });
   ladInput.addEventListener('keyup', (event) => {
     if (event.key === 'Enter') selectLad(ladInput.value);
   });
 }
 
-// Init dropdown state
-populateRegions(countrySelect?.value || 'UK');
-focusBounds(UK_BOUNDS.UK);
+// Set the dropdowns without flying anywhere (the camera is restored separately).
+function applySelection({ country, region, lad }) {
+  if (countrySelect) countrySelect.value = UK_REGIONS[country] ? country : 'UK';
+  populateRegions(countrySelect?.value || 'UK');
+  if (regionSelect && [...regionSelect.options].some((opt) => opt.value === region)) {
+    regionSelect.value = region;
+  }
+  if (ladInput) ladInput.value = lad || '';
+}
+
+// A link describes the whole selection: anything it leaves out is the default.
+const linkSelection = (link) => ({ ...defaultSettings().selection, ...link.selection });
+
+function applyLinkedView({ lat, lon, zoom }, { durationMs = 0 } = {}) {
+  if (!globe.controls) return;
+  const target = globe.controls.viewStateAt(lat, lon, zoom);
+  if (durationMs > 0) globe.controls.flyTo(target, { durationMs });
+  else globe.controls.applyViewState(target);
+}
+
+// Init dropdown state and camera from the link, else the last session, else the whole UK.
+if (deepLink) {
+  applySelection(linkSelection(deepLink));
+  rememberSelection();
+} else {
+  applySelection(settingsStore.state.selection);
+}
+
+if (deepLink?.view && globe.controls) {
+  applyLinkedView(deepLink.view);
+} else if (settingsStore.state.camera && globe.controls) {
+  globe.controls.applyViewState(settingsStore.state.camera);
+} else {
+  focusBounds(UK_BOUNDS.UK);
+}
 loadLads();
 
 // Layers
@@ -545,7 +611,7 @@ fetch(assetUrl('src/data/uk-boundaries.json'))
   })
   .finally(() => {
     // If the user enabled any point layers before the mask was ready, refresh them now.
-    for (const id of ['ne-airports-uk', 'ne-ports-uk', 'ne-populated-places-uk']) {
+    for (const id of ['ne-airports-uk', 'ne-ports-uk', 'ne-populated-places-uk', 'places-heatmap-uk']) {
       if (layerManager.isEnabled(id)) layerManager.refreshLayer(id);
     }
   });
@@ -554,21 +620,44 @@ const worldLayer = new BoundaryLayer({
   id: 'world-boundaries',
   name: 'World (countries)',
   dataUrl: assetUrl('src/data/world-countries.json'),
-  color: 0x4a4a4a
+  style: LAYER_STYLES['world-boundaries']
 });
 
+const graticuleLayer = new GraticuleLayer({
+  id: 'graticule',
+  name: 'Graticule',
+  timeZones: settingsState.showTimeZones
+});
+
+if (toggleTimeZonesCheckbox) {
+  toggleTimeZonesCheckbox.checked = settingsState.showTimeZones;
+  toggleTimeZonesCheckbox.addEventListener('change', () => {
+    settingsState.showTimeZones = Boolean(toggleTimeZonesCheckbox.checked);
+    graticuleLayer.setTimeZonesVisible(settingsState.showTimeZones);
+    persistSettings();
+  });
+}
+
 const ukRegionsLayer = new BoundaryLayer({
   id: 'uk-regions',
   name: 'UK regions',
   dataUrl: assetUrl('src/data/uk-regions.json'),
-  color: 0x6ad4ff
+  style: LAYER_STYLES['uk-regions']
 });
 
+// "Name (code)" tooltips for features that carry a dataset code.
+const nameWithCode = (feature) => {
+  const name = featureName(feature);
+  const code = featureId(feature);
+  return code && code !== name ? `${name} (${code})` : name;
+};
+
 const ukLocalAuthoritiesLayer = new BoundaryLayer({
   id: 'uk-lad',
   name: 'UK local councils (LAD)',
   dataUrl: assetUrl('src/data/uk-lads.v1.topo.json'),
-  color: 0xffb020
+  style: LAYER_STYLES['uk-lad'],
+  tooltip: nameWithCode
 });
 
 const nelcBinDemoLayer = new NelcBinDemoLayer({
@@ -593,9 +682,14 @@ const airportsLayer = new NaturalEarthPointsZipLayer({
     if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
     return isUkFeature(feature, lat, lon);
   },
-  color: 0x39d5ff,
+  tooltip: (feature) => {
+    const iata = String(feature?.properties?.iata_code || '').trim();
+    const name = featureName(feature);
+    return iata ? `${name} (${iata})` : name;
+  },
   iconSvgUrl: assetUrl('icons/paper-airplane.svg'),
-  pointSizePx: 24,
+  style: LAYER_STYLES['ne-airports-uk'],
+  cluster: { radiusPx: 36 },
   opacity: 0.95,
   maxPoints: 8000
 });
@@ -612,9 +706,9 @@ const portsLayer = new NaturalEarthPointsZipLayer({
     if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
     return isUkFeature(feature, lat, lon);
   },
-  color: 0xffbf3b,
   iconSvgUrl: assetUrl('icons/lifebuoy.svg'),
-  pointSizePx: 24,
+  style: LAYER_STYLES['ne-ports-uk'],
+  cluster: { radiusPx: 36 },
   opacity: 0.95,
   maxPoints: 8000
 });
@@ -635,40 +729,191 @@ const populatedPlacesLayer = new NaturalEarthPopulatedPlacesLayer({
   maxScaleRank: 10,
   maxLabels: 720,
   labelFontPx: 14,
-  labelMaxPxW: 160
+  labelMaxPxW: 160,
+  style: LAYER_STYLES['ne-populated-places-uk']
+});
+
+// Place density, weighted so larger places (lower scalerank) count for more.
+const placesHeatmapLayer = new HeatmapLayer({
+  id: 'places-heatmap-uk',
+  name: 'Place density (UK)',
+  dataUrl: assetUrl('src/data/uk-populated-places.v2.topo.json'),
+  bounds: UK_BOUNDS.UK,
+  filterFeature: (feature) => {
+    const coords = feature?.geometry?.coordinates;
+    const lon = coords?.[0];
+    const lat = coords?.[1];
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+    return isUkFeature(feature, lat, lon);
+  },
+  weight: ['interpolate', ['linear'], ['get', 'scalerank'], 0, 10, 10, 1],
+  radiusPx: 36,
+  gamma: 0.6
+});
+
+// Illustrative long-haul and short-haul flows (weekly departures are indicative, not live data).
+const DEMO_FLIGHT_ROUTES = [
+  { from: 'LHR', to: 'EWR', weekly: 49 },
+  { from: 'LHR', to: 'YYZ', weekly: 28 },
+  { from: 'LHR', to: 'LAX', weekly: 21 },
+  { from: 'LHR', to: 'DXB', weekly: 70 },
+  { from: 'LHR', to: 'SIN', weekly: 21 },
+  { from: 'LHR', to: 'HKG', weekly: 28 },
+  { from: 'LHR', to: 'JNB', weekly: 14 },
+  { from: 'LHR', to: 'AMS', weekly: 70 },
+  { from: 'LHR', to: 'FRA', weekly: 56 },
+  { from: 'LHR', to: 'MAD', weekly: 42 },
+  { from: 'GLA', to: 'LHR', weekly: 56 },
+  { from: 'GLA', to: 'AMS', weekly: 14 },
+  { from: 'GLA', to: 'DUB', weekly: 21 },
+  { from: 'GLA', to: 'DXB', weekly: 7 }
+];
+
+const flightRoutesLayer = new ArcLayer({
+  id: 'flight-routes-demo',
+  name: 'Flight routes (demo)',
+  routes: DEMO_FLIGHT_ROUTES,
+  endpointsUrl: assetUrl('src/data/airports.json'),
+  endpointKey: 'iata_code',
+  style: LAYER_STYLES['flight-routes-demo'],
+  flow: true
 });
 
 layerManager.register(worldLayer);
+layerManager.register(graticuleLayer);
 layerManager.register(ukRegionsLayer);
 layerManager.register(ukLocalAuthoritiesLayer);
 layerManager.register(airportsLayer);
 layerManager.register(portsLayer);
 layerManager.register(populatedPlacesLayer);
+layerManager.register(placesHeatmapLayer);
+layerManager.register(flightRoutesLayer);
 layerManager.register(nelcBinDemoLayer);
-layerManager.enableLayer('world-boundaries');
-layerManager.enableLayer('uk-regions');
+
+// Restore last session's stacking, opacity and enabled layers (first visit: the defaults).
+// A link's layer list replaces the enabled set; stacking and opacity stay per device.
+const DEFAULT_ENABLED_LAYERS = ['world-boundaries', 'uk-regions'];
+const savedLayers = settingsStore.state.layers;
+layerManager.setOrder(savedLayers.order);
+for (const [id, { opacity }] of Object.entries(savedLayers.options)) layerManager.setLayerOpacity(id, opacity);
+for (const id of deepLink?.layers ?? savedLayers.enabled ?? DEFAULT_ENABLED_LAYERS) layerManager.enableLayer(id);
+
+// Switched-on layers, including ones still loading ('layer-enabling' fires before layer.enabled flips).
+const enabledLayerIds = () =>
+  layerManager.list().filter((layer) => layerManager.getState(layer.id) !== LAYER_STATE.disabled).map((layer) => layer.id);
+
+const rememberLayers = () => {
+  const layers = layerManager.list();
+  settingsStore.state.layers = {
+    enabled: enabledLayerIds(),
+    order: layerManager.getOrder(),
+    options: Object.fromEntries(
+      layers.filter((layer) => layer.opacity < 1).map((layer) => [layer.id, { opacity: layer.opacity }])
+    )
+  };
+  settingsStore.saveSoon();
+};
+for (const type of ['layer-enabling', 'layer-disabled', 'layer-order', 'layer-opacity']) {
+  layerManager.addEventListener(type, rememberLayers);
+}
 
 const panelEl = document.getElementById('layers-panel');
 const binPanelEl = document.getElementById('bin-panel');
-const binPanel = binPanelEl ? new BinPanel(binPanelEl, { layer: nelcBinDemoLayer }) : null;
+const binPanel = binPanelEl
+  ? new BinPanel(binPanelEl, { layer: nelcBinDemoLayer, subareaId: settingsStore.state.bin.subareaId })
+  : null;
 binPanel?.init?.();
 
+// Layers panel sections, in display order.
+const LAYER_GROUPS = [
+  { id: 'boundaries', name: 'Boundaries', layers: ['world-boundaries', 'graticule', 'uk-regions', 'uk-lad'] },
+  { id: 'infrastructure', name: 'Infrastructure', layers: ['ne-airports-uk', 'ne-ports-uk', 'flight-routes-demo'] },
+  { id: 'places', name: 'Places', layers: ['ne-populated-places-uk', 'places-heatmap-uk'] },
+  { id: 'services', name: 'Services', layers: ['bin-demo-nelc'] }
+];
+
 if (panelEl) {
-  const panel = new LayersPanel(panelEl, layerManager, {
-    onToggle: (layerId, enabled) => {
-      if (layerId === 'bin-demo-nelc') {
-        if (enabled) binPanel?.show?.();
-        else binPanel?.hide?.();
-      }
-    }
-  });
+  const panel = new LayersPanel(panelEl, layerManager, { groups: LAYER_GROUPS });
   panel.init();
 }
 
+// The bin panel follows its layer, however the layer gets switched.
+layerManager.addEventListener('layer-enabling', (event) => {
+  if (event.detail.layerId === 'bin-demo-nelc') binPanel?.show?.();
+});
+layerManager.addEventListener('layer-disabled', (event) => {
+  if (event.detail.layerId === 'bin-demo-nelc') binPanel?.hide?.();
+});
+layerManager.addEventListener('layer-data-updated', (event) => {
+  const subareaId = event.detail.data?.subareaId;
+  if (event.detail.layerId !== 'bin-demo-nelc' || !subareaId) return;
+  settingsStore.state.bin = { subareaId };
+  settingsStore.save();
+});
+
 if (layerManager.isEnabled('bin-demo-nelc')) {
   binPanel?.show?.();
 }
 
+// Details panel for the selected feature. Formatters pick and label the properties worth showing.
+const pointDetails = (feature) => {
+  const p = feature?.properties || {};
+  return [
+    detailRow('Name', featureName(feature)),
+    detailRow('IATA', p.iata_code),
+    detailRow('ICAO / GPS', p.gps_code),
+    detailRow('Type', p.type),
+    detailRow('Website', p.website, 'website'),
+    detailRow('Wikidata', p.wikidataid, 'wikidataid'),
+    detailRow('Scale rank', p.scalerank)
+  ];
+};
+
+const areaDetails = (feature) => {
+  const p = feature?.properties || {};
+  return [
+    detailRow('Name', p.name ?? p.LAD24NM ?? featureName(feature)),
+    detailRow('Welsh name', p.name_cy ?? p.LAD24NMW),
+    detailRow('Code', p.id ?? p.LAD24CD ?? featureId(feature)),
+    detailRow('Level', p.level)
+  ];
+};
+
+const detailsPanelEl = document.getElementById('details-panel');
+const detailsPanel = detailsPanelEl
+  ? new DetailsPanel(detailsPanelEl, {
+    picker,
+    formatters: {
+      'uk-regions': areaDetails,
+      'uk-lad': areaDetails,
+      'ne-airports-uk': pointDetails,
+      'ne-ports-uk': pointDetails,
+      'ne-populated-places-uk': (feature) => {
+        const p = feature?.properties || {};
+        return [
+          detailRow('Name', featureName(feature)),
+          detailRow('Country', p.ADM0_A3),
+          detailRow('Time zone', p.TIMEZONE),
+          detailRow('Scale rank', p.SCALERANK)
+        ];
+      }
+    },
+    onFocus: (bounds) => focusBounds(bounds)
+  })
+  : null;
+detailsPanel?.init?.();
+
+// Keyboard: Tab through visible features while the globe has focus.
+const globeHelpEl = document.getElementById('globe-keyboard-help');
+if (globeHelpEl) globe.renderer.domElement.setAttribute('aria-describedby', globeHelpEl.id);
+
+const featureNavigator = new FeatureNavigator(globe, layerManager, {
+  announcer: document.getElementById('globe-announcer'),
+  highlight: selectionHighlight,
+  picker
+});
+featureNavigator.init();
+
 // Zoom indicator + zoom-responsive label density for populated places
 const zoomLabel = document.getElementById('zoomLevel');
 const updateZoomUi = () => {
@@ -676,9 +921,103 @@ const updateZoomUi = () => {
   const factor = globe.controls.getZoomFactor();
   if (zoomLabel) zoomLabel.textContent = `${factor.toFixed(1)}x`;
   populatedPlacesLayer?.updateDensityForZoom?.(factor);
+  for (const layer of layerManager.list()) layer.updateForZoom?.(factor);
+};
+const rememberCamera = () => {
+  settingsStore.state.camera = globe.controls.getViewState();
+  settingsStore.saveSoon();
+};
+
+// Deep links: keep the URL hash in step with the view, so the address bar is always a shareable link.
+const HASH_UPDATE_DELAY_MS = 300;
+let hashTimer = null;
+// The link's feature until it has been shown (or the user picks something else).
+let linkedFeatureKey = null;
+
+const currentViewHash = () => {
+  const controls = globe.controls;
+  const lad = findLad(ladInput?.value);
+  return formatViewHash({
+    view: controls ? { ...vector3ToLatLong(globe.camera.position), zoom: controls.getZoomFactor() } : null,
+    layers: enabledLayerIds(),
+    country: countrySelect?.value !== 'UK' ? countrySelect?.value : null,
+    region: regionSelect?.selectedIndex > 0 ? regionSelect.value : null,
+    lad: lad?.id || ladInput?.value || null,
+    feature: picker.selected?.key || linkedFeatureKey
+  });
+};
+
+const updateHash = () => {
+  hashTimer = null;
+  const hash = currentViewHash();
+  if (hash === window.location.hash) return;
+  // replaceState: navigating the globe shouldn't fill the back button history.
+  window.history.replaceState(null, '', hash || `${window.location.pathname}${window.location.search}`);
+};
+
+const scheduleHashUpdate = () => {
+  clearTimeout(hashTimer);
+  hashTimer = setTimeout(updateHash, HASH_UPDATE_DELAY_MS);
 };
+
+function selectLinkedFeature(feature) {
+  linkedFeatureKey = feature?.key || null;
+  if (!linkedFeatureKey) {
+    picker.select(null);
+    return;
+  }
+  if (layerManager.getState(feature.layerId) === LAYER_STATE.ready) picker.selectKey(linkedFeatureKey);
+}
+
+// Select the linked feature once its layer has drawn, and again if a refresh (e.g. the UK mask
+// arriving) re-registers it.
+for (const type of ['layer-ready', 'layer-refreshed']) {
+  layerManager.addEventListener(type, (event) => {
+    if (linkedFeatureKey?.startsWith(`${event.detail.layerId}:`)) picker.selectKey(linkedFeatureKey);
+  });
+}
+layerManager.addEventListener('layer-disabled', (event) => {
+  if (linkedFeatureKey?.startsWith(`${event.detail.layerId}:`)) linkedFeatureKey = null;
+});
+picker.addEventListener('feature-selected', (event) => {
+  const hit = event.detail;
+  // A null selection while the layer is still registered is the user clearing it, not a redraw.
+  const cleared = !hit && picker.targets.has(linkedFeatureKey?.split(':')[0]);
+  if ((hit && hit.key !== linkedFeatureKey) || cleared) linkedFeatureKey = null;
+  scheduleHashUpdate();
+});
+
+for (const type of ['layer-enabling', 'layer-disabled']) {
+  layerManager.addEventListener(type, scheduleHashUpdate);
+}
+for (const el of [countrySelect, regionSelect, ladInput]) el?.addEventListener('change', scheduleHashUpdate);
+
+// Links pasted into an open tab only change the hash; apply them like a fresh load.
+window.addEventListener('hashchange', () => {
+  const link = parseViewHash(window.location.hash);
+  if (!link) return;
+
+  applySelection(linkSelection(link));
+  rememberSelection();
+  if (link.view) applyLinkedView(link.view, { durationMs: 800 });
+  if (link.layers) {
+    for (const layer of layerManager.list()) {
+      if (layer.enabled && !link.layers.includes(layer.id)) layerManager.disableLayer(layer.id);
+    }
+    for (const id of link.layers) layerManager.enableLayer(id);
+  }
+  selectLinkedFeature(link.feature);
+});
+
+if (deepLink?.feature) selectLinkedFeature(deepLink.feature);
+scheduleHashUpdate();
+
 if (globe.controls) {
-  globe.controls.onChange = updateZoomUi;
+  globe.controls.onChange = () => {
+    updateZoomUi();
+    rememberCamera();
+    scheduleHashUpdate();
+  };
   updateZoomUi();
 }
 
@@ -699,6 +1038,7 @@ document.getElementById('resetBtn')?.addEventListener('click', () => {
   if (countrySelect) countrySelect.value = 'UK';
   populateRegions('UK');
   if (regionSelect && regionSelect.options.length > 0) regionSelect.selectedIndex = 0;
+  rememberSelection();
   focusBounds(UK_BOUNDS.UK);
 });
 document.getElementById('zoomInBtn')?.addEventListener('click', () => globe.zoomIn());
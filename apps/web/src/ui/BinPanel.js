@@ -23,6 +23,8 @@ export class BinPanel {
   constructor(container, options = {}) {
     this.container = container;
     this.layer = options.layer || null;
+    // Sub-area to select once the demo data loads (e.g. the last session's), if it still exists.
+    this.preferredSubareaId = options.subareaId || null;
 
     this._collapsed = false;
     this._subareas = [];
@@ -150,10 +152,13 @@ export class BinPanel {
 
         this.populateSelect();
 
-        // Set default to Waltham (village) if present, else fallback to first
+        // Preferred sub-area if known, else Waltham (village) if present, else fallback to first
         let defaultId = null;
+        const preferred = subareas.find((sa) => sa.id === this.preferredSubareaId);
         const waltham = subareas.find(sa => sa.name && sa.name.toLowerCase().includes('waltham'));
-        if (waltham) {
+        if (preferred) {
+          defaultId = preferred.id;
+        } else if (waltham) {
           defaultId = waltham.id;
         } else {
           defaultId = subareas[0]?.id;
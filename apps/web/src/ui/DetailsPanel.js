@@ -0,0 +1,276 @@
+/**
+ * DetailsPanel
+ *
+ * Shows the properties of the feature selected on the globe (FeaturePicker
+ * 'feature-selected' events). Rows come from a per-layer formatter, falling
+ * back to name, id and the first few scalar properties.
+ */
+
+import { featureId, featureName, geometryBounds } from '../lib/geo.js';
+
+// Half-size (degrees) of the box used to focus on point features.
+const POINT_FOCUS_HALF_DEG = 0.25;
+const MAX_GENERIC_ROWS = 10;
+
+function formatCoord(value, pos, neg) {
+  if (!Number.isFinite(value)) return '—';
+  return `${Math.abs(value).toFixed(4)}°${value >= 0 ? pos : neg}`;
+}
+
+function websiteHref(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  return /^https?:\/\//i.test(text) ? text : `https://${text}`;
+}
+
+function wikidataHref(value) {
+  const id = String(value || '').trim();
+  return /^Q\d+$/.test(id) ? `https://www.wikidata.org/wiki/${id}` : null;
+}
+
+function isShown(value) {
+  if (value == null) return false;
+  const text = String(value).trim();
+  return text !== '' && text !== '-99';
+}
+
+/**
+ * Build a row, turning known link-like properties into links.
+ */
+export function detailRow(label, value, key = '') {
+  if (!isShown(value)) return null;
+  const lower = key.toLowerCase();
+  let href = null;
+  if (lower === 'website') href = websiteHref(value);
+  if (lower === 'wikidataid') href = wikidataHref(value);
+  return { label, value: String(value).trim(), href };
+}
+
+// Fallback: name, id and the first few scalar properties.
+function defaultFormatter(feature) {
+  const props = feature?.properties || {};
+  const rows = [detailRow('Name', featureName(feature)), detailRow('ID', featureId(feature))];
+
+  for (const [key, value] of Object.entries(props)) {
+    if (rows.length >= MAX_GENERIC_ROWS) break;
+    if (value !== null && typeof value === 'object') continue;
+    rows.push(detailRow(key, value, key));
+  }
+
+  return rows;
+}
+
+export class DetailsPanel {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.picker = options.picker || null;
+    // layerId -> (feature) => [{ label, value, href? }]
+    this.formatters = options.formatters || {};
+    this.onFocus = typeof options.onFocus === 'function' ? options.onFocus : null;
+
+    this._hit = null;
+    this._collapsed = false;
+    this._built = false;
+    this._els = {};
+  }
+
+  init() {
+    if (!this.container) return;
+    this.buildUi();
+    this.picker?.addEventListener('feature-selected', (event) => {
+      if (event.detail) this.show(event.detail);
+      else this.hide();
+    });
+  }
+
+  buildUi() {
+    if (!this.container || this._built) return;
+    this._built = true;
+
+    this.container.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'details-header';
+
+    const titleWrap = document.createElement('div');
+    titleWrap.className = 'details-title-wrap';
+
+    const title = document.createElement('div');
+    title.className = 'details-title';
+
+    const subtitle = document.createElement('div');
+    subtitle.className = 'details-subtitle';
+
+    titleWrap.appendChild(title);
+    titleWrap.appendChild(subtitle);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'details-toggle';
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'details-toggle';
+    close.textContent = '×';
+    close.title = 'Close details';
+    close.setAttribute('aria-label', 'Close details');
+    close.addEventListener('click', () => {
+      if (this.picker) this.picker.select(null);
+      else this.hide();
+    });
+
+    const buttons = document.createElement('div');
+    buttons.className = 'details-header-buttons';
+    buttons.appendChild(toggle);
+    buttons.appendChild(close);
+
+    header.appendChild(titleWrap);
+    header.appendChild(buttons);
+
+    const body = document.createElement('div');
+
+    const list = document.createElement('dl');
+    list.className = 'details-list';
+
+    const actions = document.createElement('div');
+    actions.className = 'details-actions';
+
+    const focusBtn = document.createElement('button');
+    focusBtn.type = 'button';
+    focusBtn.textContent = 'Focus';
+    focusBtn.title = 'Fly to this feature';
+    focusBtn.addEventListener('click', () => this.focusSelected());
+
+    const copyBtn = document.createElement('button');
+    copyBtn.type = 'button';
+    copyBtn.textContent = 'Copy coordinates';
+    copyBtn.addEventListener('click', () => this.copyCoordinates());
+
+    const feedback = document.createElement('span');
+    feedback.className = 'details-feedback';
+    feedback.setAttribute('aria-live', 'polite');
+
+    actions.appendChild(focusBtn);
+    actions.appendChild(copyBtn);
+    actions.appendChild(feedback);
+
+    body.appendChild(list);
+    body.appendChild(actions);
+
+    const applyToggleState = () => {
+      toggle.textContent = this._collapsed ? '▸' : '▾';
+      toggle.title = this._collapsed ? 'Expand details' : 'Collapse details';
+      body.style.display = this._collapsed ? 'none' : 'block';
+    };
+
+    toggle.addEventListener('click', () => {
+      this._collapsed = !this._collapsed;
+      applyToggleState();
+    });
+
+    this.container.appendChild(header);
+    this.container.appendChild(body);
+
+    this._els = { title, subtitle, list, feedback };
+    applyToggleState();
+  }
+
+  show(hit) {
+    if (!this.container || !hit) return;
+    if (!this._built) this.buildUi();
+
+    this._hit = hit;
+    this.render();
+    this.container.classList.add('visible');
+  }
+
+  hide() {
+    if (!this.container) return;
+    this._hit = null;
+    this.container.classList.remove('visible');
+  }
+
+  render() {
+    const hit = this._hit;
+    const { title, subtitle, list, feedback } = this._els;
+    if (!hit || !list) return;
+
+    title.textContent = hit.label || featureName(hit.feature) || 'Unnamed feature';
+    subtitle.textContent = hit.layerName || '';
+    feedback.textContent = '';
+
+    const formatter = this.formatters[hit.layerId] || defaultFormatter;
+    let rows = [];
+    try {
+      rows = formatter(hit.feature) || [];
+    } catch (err) {
+      console.warn('DetailsPanel: formatter failed; using defaults', err);
+      rows = defaultFormatter(hit.feature);
+    }
+
+    rows = rows.filter(Boolean);
+    rows.push(detailRow('Location', `${formatCoord(hit.lat, 'N', 'S')} ${formatCoord(hit.lon, 'E', 'W')}`));
+
+    list.innerHTML = '';
+    for (const row of rows) {
+      if (!row) continue;
+      const dt = document.createElement('dt');
+      dt.textContent = row.label;
+
+      const dd = document.createElement('dd');
+      if (row.href) {
+        const a = document.createElement('a');
+        a.href = row.href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        a.textContent = row.value;
+        dd.appendChild(a);
+      } else {
+        dd.textContent = row.value;
+      }
+
+      list.appendChild(dt);
+      list.appendChild(dd);
+    }
+  }
+
+  getSelectedBounds() {
+    const hit = this._hit;
+    if (!hit) return null;
+
+    const bounds = geometryBounds(hit.feature?.geometry);
+    if (bounds && hit.kind !== 'point') return bounds;
+
+    return {
+      minLat: hit.lat - POINT_FOCUS_HALF_DEG,
+      maxLat: hit.lat + POINT_FOCUS_HALF_DEG,
+      minLon: hit.lon - POINT_FOCUS_HALF_DEG,
+      maxLon: hit.lon + POINT_FOCUS_HALF_DEG
+    };
+  }
+
+  focusSelected() {
+    const bounds = this.getSelectedBounds();
+    if (bounds && this.onFocus) this.onFocus(bounds, this._hit);
+  }
+
+  copyCoordinates() {
+    const hit = this._hit;
+    const feedback = this._els.feedback;
+    if (!hit || !Number.isFinite(hit.lat) || !Number.isFinite(hit.lon)) return;
+
+    const text = `${hit.lat.toFixed(5)}, ${hit.lon.toFixed(5)}`;
+    const write = navigator.clipboard?.writeText
+      ? navigator.clipboard.writeText(text)
+      : Promise.reject(new Error('Clipboard unavailable'));
+
+    write
+      .then(() => {
+        if (feedback) feedback.textContent = 'Copied';
+      })
+      .catch(() => {
+        // Clipboard can be blocked (insecure origin, permissions); show the text instead.
+        if (feedback) feedback.textContent = text;
+      });
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * FeatureNavigator
+ *
+ * Keyboard access to what is on the globe: while the globe canvas has focus,
+ * Tab / Shift+Tab step through the visible named features of enabled layers
+ * (in screen reading order), centre the camera on each one and announce it
+ * through an aria-live region. Stepping past either end lets focus leave the
+ * globe as usual; Escape clears the cycle. When a FeaturePicker is supplied the
+ * focused feature also becomes the selection.
+ */
+
+const MAX_ITEMS = 200;
+
+export class FeatureNavigator {
+  constructor(globeRenderer, layerManager, options = {}) {
+    this.globe = globeRenderer;
+    this.layerManager = layerManager;
+    this.announcer = options.announcer || null;
+    this.highlight = options.highlight || null;
+    this.highlightColor = options.highlightColor ?? 0xb3f5ff;
+    this.picker = options.picker || null;
+
+    this.items = null;
+    this.index = -1;
+  }
+
+  init() {
+    const canvas = this.globe?.renderer?.domElement;
+    if (!canvas) return;
+
+    canvas.addEventListener('keydown', (event) => this.onKeyDown(event));
+    canvas.addEventListener('blur', () => this.clear());
+  }
+
+  onKeyDown(event) {
+    if (event.key === 'Escape') {
+      if (this.index >= 0) this.announce('');
+      this.clear();
+      return;
+    }
+
+    if (event.key !== 'Tab' || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    // Snapshot once per cycle so centring the camera doesn't reshuffle the order.
+    if (!this.items) this.items = this.collectVisibleFeatures();
+
+    const next = this.index + (event.shiftKey ? -1 : 1);
+    if (next < 0 || next >= this.items.length) {
+      this.clear();
+      return;
+    }
+
+    event.preventDefault();
+    this.index = next;
+    this.focusItem(this.items[next], next, this.items.length);
+  }
+
+  clear() {
+    this.items = null;
+    this.index = -1;
+  }
+
+  collectVisibleFeatures() {
+    const items = [];
+
+    for (const layer of this.layerManager.list()) {
+      if (!layer.enabled || this.globe.isLayerVisible?.(layer.id) === false) continue;
+
+      let features = [];
+      try {
+        features = layer.getFocusableFeatures?.() || [];
+      } catch (err) {
+        console.warn(`FeatureNavigator: ${layer.id} failed to list features`, err);
+      }
+
+      for (const item of features) {
+        const screen = this.globe.projectLatLon(item.lat, item.lon);
+        if (!screen?.visible) continue;
+        items.push({ ...item, layer, layerName: layer.name, x: screen.x, y: screen.y });
+      }
+    }
+
+    // Reading order: rows of ~40px top to bottom, then left to right.
+    items.sort((a, b) => Math.round(a.y / 40) - Math.round(b.y / 40) || a.x - b.x);
+    return items.slice(0, MAX_ITEMS);
+  }
+
+  focusItem(item, index, total) {
+    this.announce(`${item.name}, ${item.layerName}. ${index + 1} of ${total}.`);
+
+    this.globe.controls?.centerOn?.(item.lat, item.lon, { durationMs: 350 });
+
+    // With a picker, selection listeners own the highlight; otherwise flash here.
+    if (this.picker) {
+      const kind = item.feature?.geometry?.type === 'Point' ? 'point' : 'polygon';
+      this.picker.select(this.picker.toHit(item.layer, item.feature, kind, item.lat, item.lon));
+    } else {
+      this.highlight?.flashFeature(item.feature, { color: this.highlightColor, durationMs: 600 });
+    }
+  }
+
+  announce(text) {
+    if (!this.announcer) return;
+    // Clear first so repeating the same text is still announced.
+    this.announcer.textContent = '';
+    if (text) {
+      requestAnimationFrame(() => {
+        this.announcer.textContent = text;
+      });
+    }
+  }
+}
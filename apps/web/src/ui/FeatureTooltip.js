@@ -0,0 +1,66 @@
+/**
+ * FeatureTooltip
+ *
+ * Small label that follows the pointer while it hovers a pickable feature.
+ * Driven by FeaturePicker 'feature-hover' events.
+ */
+
+const OFFSET_PX = 14;
+
+export class FeatureTooltip {
+  constructor(container, picker) {
+    this.container = container;
+    this.picker = picker;
+    this.el = null;
+  }
+
+  init() {
+    if (!this.container || !this.picker) return;
+
+    const el = document.createElement('div');
+    el.className = 'feature-tooltip';
+    el.setAttribute('role', 'tooltip');
+    el.hidden = true;
+
+    const title = document.createElement('div');
+    title.className = 'feature-tooltip-title';
+
+    const meta = document.createElement('div');
+    meta.className = 'feature-tooltip-meta';
+
+    el.appendChild(title);
+    el.appendChild(meta);
+    this.container.appendChild(el);
+
+    this.el = el;
+    this.titleEl = title;
+    this.metaEl = meta;
+
+    this.picker.addEventListener('feature-hover', (event) => this.render(event.detail));
+  }
+
+  render(hit) {
+    if (!this.el) return;
+    if (!hit || !hit.label) {
+      this.el.hidden = true;
+      return;
+    }
+
+    this.titleEl.textContent = hit.label;
+    this.metaEl.textContent = hit.layerName || '';
+    this.el.hidden = false;
+
+    // Position relative to the container, flipping near the right/bottom edges.
+    const bounds = this.container.getBoundingClientRect();
+    const x = hit.clientX - bounds.left;
+    const y = hit.clientY - bounds.top;
+    const w = this.el.offsetWidth;
+    const h = this.el.offsetHeight;
+
+    const left = x + OFFSET_PX + w > bounds.width ? x - OFFSET_PX - w : x + OFFSET_PX;
+    const top = y + OFFSET_PX + h > bounds.height ? y - OFFSET_PX - h : y + OFFSET_PX;
+
+    this.el.style.left = `${Math.max(0, left)}px`;
+    this.el.style.top = `${Math.max(0, top)}px`;
+  }
+}
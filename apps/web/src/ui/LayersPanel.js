@@ -1,15 +1,49 @@
+import { LAYER_STATE } from '../layers/LayerManager.js';
+
+/**
+ * LayersPanel
+ *
+ * Layer list in collapsible groups. Each row has a drag handle (also
+ * ArrowUp / ArrowDown) to restack, the on/off checkbox, solo and refresh
+ * buttons, an opacity slider and the layer's load status.
+ *
+ * Groups: [{ id, name, layers: [layerId] }]; layers in no group are listed
+ * under "Other". Within a group the top row draws on top.
+ */
 export class LayersPanel {
-	constructor(container, layerManager, options = {}) {
+	constructor(container, layerManager, { groups = [] } = {}) {
 		this.container = container;
 		this.layerManager = layerManager;
-		this.onToggle = typeof options.onToggle === 'function' ? options.onToggle : null;
+		this.groups = Array.isArray(groups) ? groups : [];
 		this.collapsed = false;
+		// Group ids folded shut.
+		this.collapsedGroups = new Set();
+		// layerId -> { item, handle, checkbox, solo, refresh, opacity, opacityValue, opacityRow, status },
+		// so each row follows the state its layer publishes.
+		this.rows = new Map();
+		// { layerId, groupId } while a row is being dragged.
+		this.dragging = null;
 	}
 
 	init() {
 		const saved = localStorage.getItem('layersPanelCollapsed');
 		if (saved === 'true') this.collapsed = true;
+		try {
+			const groups = JSON.parse(localStorage.getItem('layersPanelCollapsedGroups') || '[]');
+			if (Array.isArray(groups)) this.collapsedGroups = new Set(groups);
+		} catch {
+			// Ignore a corrupt value; all groups start open.
+		}
 		this.render();
+
+		this.layerManager.addEventListener('layer-state', (event) => this.updateRow(event.detail.layerId));
+		this.layerManager.addEventListener('layer-data-updated', (event) => this.updateRow(event.detail.layerId));
+		this.layerManager.addEventListener('layer-opacity', (event) => this.updateRow(event.detail.layerId));
+		this.layerManager.addEventListener('layer-solo', () => {
+			for (const layerId of this.rows.keys()) this.updateRow(layerId);
+		});
+		this.layerManager.addEventListener('layer-registered', () => this.render());
+		this.layerManager.addEventListener('layer-order', () => this.render());
 	}
 
 	render() {
@@ -43,42 +77,275 @@ export class LayersPanel {
 		const list = document.createElement('div');
 		list.className = 'layers-list';
 
+		this.rows.clear();
+		for (const group of this.groupLayers()) {
+			list.appendChild(this.renderGroup(group));
+		}
+
+		this.container.appendChild(list);
+			applyToggleState();
+	}
+
+	// Configured groups (then "Other") with their layers, top of the stack first.
+	groupLayers() {
+		const order = this.layerManager.getOrder();
+		const byStack = (a, b) => order.indexOf(b.id) - order.indexOf(a.id);
 		const layers = this.layerManager.list();
-		layers.forEach((layer) => {
-			const item = document.createElement('div');
-			item.className = 'layer-item';
-
-			const label = document.createElement('label');
-			label.className = 'layer-label';
-
-			const toggle = document.createElement('input');
-			toggle.type = 'checkbox';
-			toggle.checked = this.layerManager.isEnabled(layer.id);
-			toggle.addEventListener('change', () => {
-				this.layerManager.toggleLayer(layer.id, toggle.checked);
-					if (this.onToggle) this.onToggle(layer.id, toggle.checked);
-			});
 
-			const name = document.createElement('span');
-			name.textContent = layer.name;
+		const grouped = new Set();
+		const sections = this.groups.map(({ id, name, layers: ids = [] }) => {
+			const members = layers.filter((layer) => ids.includes(layer.id));
+			members.forEach((layer) => grouped.add(layer.id));
+			return { id, name, layers: members.sort(byStack) };
+		});
+
+		const rest = layers.filter((layer) => !grouped.has(layer.id)).sort(byStack);
+		if (rest.length > 0) {
+			sections.push({ id: 'other', name: sections.length > 0 ? 'Other' : null, layers: rest });
+		}
+		return sections.filter((section) => section.layers.length > 0);
+	}
+
+	renderGroup(group) {
+		const section = document.createElement('div');
+		section.className = 'layers-group';
+
+		const items = document.createElement('div');
+		items.className = 'layers-group-items';
 
-			const refresh = document.createElement('button');
-			refresh.type = 'button';
-			refresh.textContent = '⟳';
-			refresh.title = 'Refresh layer';
-			refresh.addEventListener('click', () => {
-				this.layerManager.refreshLayer(layer.id);
+		if (group.name) {
+			const heading = document.createElement('button');
+			heading.type = 'button';
+			heading.className = 'layers-group-toggle';
+			const applyGroupState = () => {
+				const collapsed = this.collapsedGroups.has(group.id);
+				heading.textContent = `${collapsed ? '▸' : '▾'} ${group.name}`;
+				heading.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+				items.hidden = collapsed;
+			};
+			heading.addEventListener('click', () => {
+				if (this.collapsedGroups.has(group.id)) this.collapsedGroups.delete(group.id);
+				else this.collapsedGroups.add(group.id);
+				localStorage.setItem('layersPanelCollapsedGroups', JSON.stringify([...this.collapsedGroups]));
+				applyGroupState();
 			});
+			applyGroupState();
+			section.appendChild(heading);
+		}
+
+		group.layers.forEach((layer, i) => {
+			items.appendChild(this.renderItem(layer, group, i));
+		});
 
-			label.appendChild(toggle);
-			label.appendChild(name);
-			item.appendChild(label);
-			item.appendChild(refresh);
+		section.appendChild(items);
+		return section;
+	}
+
+	renderItem(layer, group, index) {
+		const item = document.createElement('div');
+		item.className = 'layer-item';
 
-			list.appendChild(item);
+		// Only the handle starts a drag, so the slider and checkbox still work normally.
+		const handle = document.createElement('button');
+		handle.type = 'button';
+		handle.className = 'layer-handle';
+		handle.textContent = '⠿';
+		handle.title = 'Drag to reorder (or use the arrow keys)';
+		handle.setAttribute('aria-label', `Reorder ${layer.name}`);
+		handle.addEventListener('pointerdown', () => {
+			item.draggable = true;
+		});
+		handle.addEventListener('pointerup', () => {
+			item.draggable = false;
+		});
+		handle.addEventListener('keydown', (event) => {
+			const neighbour = event.key === 'ArrowUp' ? group.layers[index - 1] : event.key === 'ArrowDown' ? group.layers[index + 1] : null;
+			if (!neighbour) return;
+			event.preventDefault();
+			this.moveLayer(layer.id, neighbour.id);
+			this.rows.get(layer.id)?.handle.focus();
 		});
 
-		this.container.appendChild(list);
-			applyToggleState();
+		item.addEventListener('dragstart', (event) => {
+			this.dragging = { layerId: layer.id, groupId: group.id };
+			event.dataTransfer.effectAllowed = 'move';
+			event.dataTransfer.setData('text/plain', layer.id);
+			item.classList.add('is-dragging');
+		});
+		item.addEventListener('dragend', () => {
+			this.dragging = null;
+			item.draggable = false;
+			item.classList.remove('is-dragging');
+		});
+		item.addEventListener('dragover', (event) => {
+			if (!this.canDropOn(layer.id, group.id)) return;
+			event.preventDefault();
+			event.dataTransfer.dropEffect = 'move';
+			item.classList.add('is-drop-target');
+		});
+		item.addEventListener('dragleave', () => item.classList.remove('is-drop-target'));
+		item.addEventListener('drop', (event) => {
+			item.classList.remove('is-drop-target');
+			if (!this.canDropOn(layer.id, group.id)) return;
+			event.preventDefault();
+			this.moveLayer(this.dragging.layerId, layer.id);
+		});
+
+		const label = document.createElement('label');
+		label.className = 'layer-label';
+
+		const toggle = document.createElement('input');
+		toggle.type = 'checkbox';
+		toggle.checked = this.layerManager.isEnabled(layer.id);
+		toggle.addEventListener('change', () => {
+			this.layerManager.toggleLayer(layer.id, toggle.checked);
+		});
+
+		const name = document.createElement('span');
+		name.textContent = layer.name;
+
+		const solo = document.createElement('button');
+		solo.type = 'button';
+		solo.className = 'layer-solo';
+		solo.textContent = '◎';
+		solo.addEventListener('click', () => {
+			if (this.layerManager.getSoloLayer() === layer.id) this.layerManager.clearSolo();
+			else this.layerManager.soloLayer(layer.id);
+		});
+
+		const refresh = document.createElement('button');
+		refresh.type = 'button';
+		refresh.textContent = '⟳';
+		refresh.title = 'Refresh layer';
+		refresh.addEventListener('click', () => {
+			this.layerManager.refreshLayer(layer.id);
+		});
+
+		const opacityRow = document.createElement('label');
+		opacityRow.className = 'layer-opacity';
+
+		const opacity = document.createElement('input');
+		opacity.type = 'range';
+		opacity.min = '0';
+		opacity.max = '100';
+		opacity.step = '5';
+		opacity.setAttribute('aria-label', `${layer.name} opacity`);
+		opacity.addEventListener('input', () => {
+			this.layerManager.setLayerOpacity(layer.id, Number(opacity.value) / 100);
+		});
+
+		const opacityValue = document.createElement('span');
+		opacityValue.className = 'layer-opacity-value';
+
+		opacityRow.appendChild(opacity);
+		opacityRow.appendChild(opacityValue);
+
+		// Spinner, feature count and last update, or the failure with a retry.
+		const status = document.createElement('div');
+		status.className = 'layer-status';
+
+		label.appendChild(toggle);
+		label.appendChild(name);
+		item.appendChild(handle);
+		item.appendChild(label);
+		item.appendChild(solo);
+		item.appendChild(refresh);
+		item.appendChild(opacityRow);
+		item.appendChild(status);
+
+		this.rows.set(layer.id, { item, handle, checkbox: toggle, solo, refresh, opacity, opacityValue, opacityRow, status });
+		this.updateRow(layer.id);
+		return item;
+	}
+
+	// Rows only move within their own group.
+	canDropOn(layerId, groupId) {
+		return Boolean(this.dragging) && this.dragging.groupId === groupId && this.dragging.layerId !== layerId;
 	}
+
+	// Put `layerId` where `targetId` is: just below it when moving down the list, just above when moving up.
+	moveLayer(layerId, targetId) {
+		const order = this.layerManager.getOrder();
+		const from = order.indexOf(layerId);
+		const to = order.indexOf(targetId);
+		if (from < 0 || to < 0 || from === to) return;
+
+		order.splice(from, 1);
+		order.splice(order.indexOf(targetId) + (from > to ? 0 : 1), 0, layerId);
+		this.layerManager.setOrder(order);
+	}
+
+	updateRow(layerId) {
+		const row = this.rows.get(layerId);
+		const info = this.layerManager.getInfo(layerId);
+		if (!row || !info) return;
+
+		const enabled = this.layerManager.isEnabled(layerId);
+		row.checkbox.checked = enabled;
+		row.refresh.disabled = info.state === LAYER_STATE.enabling;
+
+		const soloId = this.layerManager.getSoloLayer();
+		row.solo.setAttribute('aria-pressed', soloId === layerId ? 'true' : 'false');
+		row.solo.title = soloId === layerId ? 'Show all layers again' : 'Solo: show only this layer';
+		row.item.classList.toggle('is-hidden-by-solo', Boolean(soloId) && soloId !== layerId && enabled);
+
+		const percent = Math.round((this.layerManager.get(layerId)?.opacity ?? 1) * 100);
+		row.opacity.value = String(percent);
+		row.opacityValue.textContent = `${percent}%`;
+		row.opacityRow.hidden = !enabled;
+
+		const { status } = row;
+		status.innerHTML = '';
+		status.dataset.state = info.state;
+		status.hidden = info.state === LAYER_STATE.disabled;
+
+		if (info.state === LAYER_STATE.enabling) {
+			const spinner = document.createElement('span');
+			spinner.className = 'layer-spinner';
+			spinner.setAttribute('aria-hidden', 'true');
+			status.appendChild(spinner);
+			status.appendChild(document.createTextNode('Loading…'));
+		} else if (info.state === LAYER_STATE.ready) {
+			const parts = [];
+			if (Number.isFinite(info.featureCount)) {
+				parts.push(`${info.featureCount.toLocaleString()} ${info.featureCount === 1 ? 'feature' : 'features'}`);
+			}
+			if (info.updatedAt) parts.push(`updated ${formatTime(info.updatedAt)}`);
+			status.textContent = parts.join(' · ');
+			status.hidden = parts.length === 0;
+		} else if (info.state === LAYER_STATE.error) {
+			const reason = errorMessage(info.error);
+
+			const badge = document.createElement('span');
+			badge.className = 'layer-error-badge';
+			badge.textContent = 'Error';
+
+			const message = document.createElement('span');
+			message.className = 'layer-error-message';
+			message.textContent = reason;
+			message.title = reason;
+
+			const retry = document.createElement('button');
+			retry.type = 'button';
+			retry.className = 'layer-retry';
+			retry.textContent = 'Retry';
+			retry.title = `Retry loading ${this.layerManager.get(layerId)?.name || 'layer'}`;
+			retry.addEventListener('click', () => {
+				this.layerManager.retryLayer(layerId);
+			});
+
+			status.appendChild(badge);
+			status.appendChild(message);
+			status.appendChild(retry);
+		}
+	}
+}
+
+function formatTime(timestamp) {
+	return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function errorMessage(error) {
+	if (!error) return 'Failed to load';
+	return error.message || String(error);
 }
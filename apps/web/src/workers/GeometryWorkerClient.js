@@ -0,0 +1,111 @@
+/**
+ * GeometryWorkerClient
+ *
+ * Promise API over geometry.worker.js. When module workers are unavailable
+ * (or the worker fails to start) the same tasks run on the main thread, so
+ * callers never need a separate code path.
+ */
+
+export class GeometryWorkerClient {
+  constructor(workerUrl = new URL('./geometry.worker.js', import.meta.url)) {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.failed = false;
+
+    this.nextId = 1;
+    // id -> { type, payload, resolve, reject }
+    this.pending = new Map();
+  }
+
+  ensureWorker() {
+    if (this.worker || this.failed) return this.worker;
+
+    if (typeof Worker === 'undefined') {
+      this.failed = true;
+      return null;
+    }
+
+    try {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+    } catch (err) {
+      console.warn('Geometry worker unavailable; building geometry on the main thread', err);
+      this.failed = true;
+      return null;
+    }
+
+    this.worker.addEventListener('message', (event) => this.onMessage(event));
+    this.worker.addEventListener('error', (event) => this.onWorkerError(event));
+    return this.worker;
+  }
+
+  run(type, payload = {}) {
+    const worker = this.ensureWorker();
+    if (!worker) return this.runInThread(type, payload);
+
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { type, payload, resolve, reject });
+      worker.postMessage({ id, type, payload });
+    });
+  }
+
+  runInThread(type, payload) {
+    return import('./geometryTasks.js')
+      .then(({ runTask }) => runTask(type, payload))
+      .then(({ result }) => result);
+  }
+
+  onMessage(event) {
+    const { id, ok, result, error } = event.data || {};
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    if (ok) request.resolve(result);
+    else request.reject(new Error(error || 'Geometry task failed'));
+  }
+
+  onWorkerError(event) {
+    // The worker script failed to load or crashed: finish outstanding work here.
+    event?.preventDefault?.();
+    console.warn('Geometry worker failed; building geometry on the main thread', event?.message || event);
+
+    this.worker?.terminate();
+    this.worker = null;
+    this.failed = true;
+
+    const requests = [...this.pending.values()];
+    this.pending.clear();
+    for (const request of requests) {
+      this.runInThread(request.type, request.payload).then(request.resolve, request.reject);
+    }
+  }
+
+  // GeoJSON for a GeoJSON/TopoJSON URL.
+  loadGeoJson(url) {
+    return this.run('geojson', { url }).then((result) => result.geojson);
+  }
+
+  // GeoJSON plus merged line chunks per LOD level ([{ minArea, maxSegmentDegrees }]):
+  // { geojson, levels: [{ chunks: Float32Array[], ranges: ([chunk, start, count] | null)[] }] }.
+  loadBoundary(url, { radius, maxChunkVertices, levels } = {}) {
+    return this.run('boundary', { url, radius, maxChunkVertices, levels });
+  }
+
+  // One Float32Array of line segment positions per radius.
+  linePositions(geometry, radii, maxSegmentDegrees) {
+    return this.run('lines', { geometry, radii, maxSegmentDegrees }).then((result) => result.positions);
+  }
+
+  // [{ properties, bounds }] per feature, without shipping geometry back.
+  summarize(url) {
+    return this.run('summary', { url }).then((result) => result.features);
+  }
+
+  destroy() {
+    this.worker?.terminate();
+    this.worker = null;
+    for (const request of this.pending.values()) request.reject(new Error('Geometry worker destroyed'));
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * Geometry worker: fetches boundary data, converts TopoJSON and subdivides
+ * great-circle arcs off the main thread. See geometryTasks.js for the tasks.
+ *
+ * Messages in:  { id, type, payload }
+ * Messages out: { id, ok: true, result } | { id, ok: false, error }
+ */
+
+import { runTask } from './geometryTasks.js';
+
+self.addEventListener('message', (event) => {
+  const { id, type, payload } = event.data || {};
+
+  runTask(type, payload)
+    .then(({ result, transfer }) => {
+      self.postMessage({ id, ok: true, result }, transfer);
+    })
+    .catch((err) => {
+      self.postMessage({ id, ok: false, error: err?.message || String(err) });
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Geometry tasks run by geometry.worker.js (or in-thread when workers are unavailable).
+ *
+ * Each task resolves to { result, transfer }, where `transfer` lists the
+ * ArrayBuffers that can be moved (not copied) back to the caller.
+ *
+ * Tasks:
+ * - 'geojson'  { url }                                   -> { geojson }
+ * - 'boundary' { url, radius, maxChunkVertices,
+ *                levels: [{ minArea, maxSegmentDegrees }] } -> { geojson, levels: [{ chunks, ranges }] }
+ * - 'lines'    { geometry, radii, maxSegmentDegrees }    -> { positions }
+ * - 'summary'  { url }                                   -> { features: [{ properties, bounds }] }
+ */
+
+// Import maps don't apply inside workers, so resolve topojson-client by path
+// (same URL the page's import map points at).
+import { feature as topojsonFeature } from '../../node_modules/topojson-client/src/index.js';
+import { ringToSegmentPositions } from '../globe/greatCircle.js';
+import { simplifyGeoJson, simplifyTopology, weighTopology } from './simplify.js';
+
+// Raw JSON and converted GeoJSON per URL; LAD data is shared by several layers and the search index.
+const jsonCache = new Map();
+const geojsonCache = new Map();
+
+function toGeoJson(data) {
+  if (data?.type !== 'Topology') return data;
+
+  const objectName = data.objects && Object.keys(data.objects)[0];
+  if (!objectName) throw new Error('TopoJSON has no objects to convert');
+  return topojsonFeature(data, data.objects[objectName]);
+}
+
+function loadJson(url) {
+  if (jsonCache.has(url)) return jsonCache.get(url);
+
+  const promise = fetch(url).then((res) => {
+    if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+    return res.json();
+  });
+
+  // Let a failed fetch be retried.
+  promise.catch(() => jsonCache.delete(url));
+  jsonCache.set(url, promise);
+  return promise;
+}
+
+function loadGeoJson(url) {
+  if (geojsonCache.has(url)) return geojsonCache.get(url);
+
+  const promise = loadJson(url).then(toGeoJson);
+  promise.catch(() => geojsonCache.delete(url));
+  geojsonCache.set(url, promise);
+  return promise;
+}
+
+// Features of `geojson` simplified to `minArea`, index-aligned with geojson.features.
+function simplifiedFeatures(raw, geojson, minArea, state) {
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  if (!(minArea > 0)) return features;
+
+  if (raw?.type === 'Topology') {
+    state.weighed ??= weighTopology(raw);
+    return toGeoJson(simplifyTopology(raw, state.weighed, minArea))?.features || features;
+  }
+
+  return simplifyGeoJson(geojson, minArea).features;
+}
+
+function polygonRings(geometry) {
+  if (geometry?.type === 'Polygon') return geometry.coordinates || [];
+  if (geometry?.type === 'MultiPolygon') return (geometry.coordinates || []).flat();
+  return [];
+}
+
+function linePositions(geometry, radius, maxSegmentRadians) {
+  const out = [];
+  for (const ring of polygonRings(geometry)) {
+    ringToSegmentPositions(ring, radius, maxSegmentRadians, out);
+  }
+  return out;
+}
+
+function bounds(geometry) {
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  let minLon = Infinity;
+  let maxLon = -Infinity;
+
+  for (const ring of polygonRings(geometry)) {
+    for (const [lon, lat] of ring) {
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+      if (lon < minLon) minLon = lon;
+      if (lon > maxLon) maxLon = lon;
+    }
+  }
+
+  return Number.isFinite(minLat) ? { minLat, maxLat, minLon, maxLon } : null;
+}
+
+// Same chunking as BoundaryLayer.buildLineGeometries: a feature never straddles chunks.
+function buildLineChunks(features, radius, maxSegmentRadians, maxChunkVertices) {
+  const perFeature = features.map((f) => linePositions(f?.geometry, radius, maxSegmentRadians));
+
+  const chunkSizes = [];
+  const ranges = [];
+  let size = 0;
+  for (const positions of perFeature) {
+    const count = positions.length / 3;
+    if (count === 0) {
+      ranges.push(null);
+      continue;
+    }
+    if (size > 0 && size + count > maxChunkVertices) {
+      chunkSizes.push(size);
+      size = 0;
+    }
+    ranges.push([chunkSizes.length, size, count]);
+    size += count;
+  }
+  if (size > 0) chunkSizes.push(size);
+
+  const chunks = chunkSizes.map((n) => new Float32Array(n * 3));
+  perFeature.forEach((positions, i) => {
+    const range = ranges[i];
+    if (range) chunks[range[0]].set(positions, range[1] * 3);
+  });
+
+  return { chunks, ranges };
+}
+
+export async function runTask(type, payload = {}) {
+  const maxSegmentRadians = ((payload.maxSegmentDegrees ?? 2) * Math.PI) / 180;
+
+  if (type === 'geojson') {
+    return { result: { geojson: await loadGeoJson(payload.url) }, transfer: [] };
+  }
+
+  if (type === 'boundary') {
+    const [raw, geojson] = await Promise.all([loadJson(payload.url), loadGeoJson(payload.url)]);
+    const requested = Array.isArray(payload.levels) && payload.levels.length > 0 ? payload.levels : [{}];
+
+    // One set of line chunks per LOD level; ranges index the full-detail features.
+    const state = {};
+    const levels = requested.map(({ minArea = 0, maxSegmentDegrees = 2 }) =>
+      buildLineChunks(
+        simplifiedFeatures(raw, geojson, minArea, state),
+        payload.radius ?? 1.002,
+        (maxSegmentDegrees * Math.PI) / 180,
+        payload.maxChunkVertices ?? 1_000_000
+      )
+    );
+
+    const transfer = levels.flatMap((level) => level.chunks.map((c) => c.buffer));
+    return { result: { geojson, levels }, transfer };
+  }
+
+  if (type === 'lines') {
+    const positions = (payload.radii || [1]).map(
+      (radius) => new Float32Array(linePositions(payload.geometry, radius, maxSegmentRadians))
+    );
+    return { result: { positions }, transfer: positions.map((p) => p.buffer) };
+  }
+
+  if (type === 'summary') {
+    const geojson = await loadGeoJson(payload.url);
+    const features = (geojson?.features || []).map((f) => ({
+      properties: f?.properties || {},
+      bounds: bounds(f?.geometry)
+    }));
+    return { result: { features }, transfer: [] };
+  }
+
+  throw new Error(`Unknown geometry task: ${type}`);
+}
@@ -0,0 +1,201 @@
+/**
+ * Visvalingam–Whyatt simplification for boundary LOD levels.
+ *
+ * TopoJSON inputs are simplified arc by arc, so a border shared by two
+ * features is simplified once and stays identical on both sides. Plain GeoJSON
+ * falls back to simplifying each ring on its own.
+ *
+ * Areas are in squared degrees (lon/lat plane); a `minArea` of 0 keeps everything.
+ */
+
+// Min-heap of [area, index] pairs.
+class AreaHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(area, index) {
+    const items = this.items;
+    items.push([area, index]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < items.length && items[l][0] < items[smallest][0]) smallest = l;
+        if (r < items.length && items[r][0] < items[smallest][0]) smallest = r;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+function triangleArea(a, b, c) {
+  return Math.abs((a[0] - c[0]) * (b[1] - a[1]) - (a[0] - b[0]) * (c[1] - a[1])) / 2;
+}
+
+/**
+ * Effective area of every point in a polyline: the area at which
+ * Visvalingam would remove it. Endpoints get Infinity (always kept).
+ */
+export function visvalingamWeights(points) {
+  const n = points.length;
+  const weights = new Float64Array(n).fill(Infinity);
+  if (n < 3) return weights;
+
+  const prev = new Int32Array(n);
+  const next = new Int32Array(n);
+  const current = new Float64Array(n);
+  const heap = new AreaHeap();
+
+  for (let i = 0; i < n; i++) {
+    prev[i] = i - 1;
+    next[i] = i + 1;
+  }
+  for (let i = 1; i < n - 1; i++) {
+    current[i] = triangleArea(points[i - 1], points[i], points[i + 1]);
+    heap.push(current[i], i);
+  }
+
+  let maxArea = 0;
+  const removed = new Uint8Array(n);
+
+  while (heap.size > 0) {
+    const [area, i] = heap.pop();
+    // Skip entries made stale by a neighbour's removal.
+    if (removed[i] || area !== current[i]) continue;
+
+    // Monotonic: a point never outlives one removed before it.
+    maxArea = Math.max(maxArea, area);
+    weights[i] = maxArea;
+    removed[i] = 1;
+
+    const p = prev[i];
+    const q = next[i];
+    next[p] = q;
+    prev[q] = p;
+
+    if (p > 0) {
+      current[p] = triangleArea(points[prev[p]], points[p], points[q]);
+      heap.push(current[p], p);
+    }
+    if (q < n - 1) {
+      current[q] = triangleArea(points[p], points[q], points[next[q]]);
+      heap.push(current[q], q);
+    }
+  }
+
+  return weights;
+}
+
+// Closed rings need a couple of interior points to survive, or they collapse to a line.
+function protectRing(weights) {
+  const order = [...weights.keys()]
+    .slice(1, -1)
+    .sort((a, b) => weights[b] - weights[a])
+    .slice(0, 2);
+  for (const i of order) weights[i] = Infinity;
+  return weights;
+}
+
+function filterByWeight(points, weights, minArea) {
+  if (minArea <= 0) return points;
+  return points.filter((_, i) => weights[i] >= minArea);
+}
+
+/**
+ * Decode a TopoJSON topology's arcs to absolute [lon, lat] and weigh each point.
+ * Returns { arcs, weights } for simplifyTopology.
+ */
+export function weighTopology(topology) {
+  const transform = topology.transform;
+  const arcs = (topology.arcs || []).map((arc) => {
+    if (!transform) return arc.map((p) => [p[0], p[1]]);
+
+    // Quantized topologies are delta-encoded.
+    const [sx, sy] = transform.scale;
+    const [tx, ty] = transform.translate;
+    let x = 0;
+    let y = 0;
+    return arc.map((p) => {
+      x += p[0];
+      y += p[1];
+      return [x * sx + tx, y * sy + ty];
+    });
+  });
+
+  const weights = arcs.map((arc) => {
+    const w = visvalingamWeights(arc);
+    const first = arc[0];
+    const last = arc[arc.length - 1];
+    const closed = arc.length > 3 && first[0] === last[0] && first[1] === last[1];
+    return closed ? protectRing(w) : w;
+  });
+
+  return { arcs, weights };
+}
+
+/**
+ * A copy of `topology` with arcs thinned to points whose weight is >= minArea
+ * (untransformed, so topojson-client reads absolute coordinates).
+ */
+export function simplifyTopology(topology, weighed, minArea) {
+  return {
+    type: 'Topology',
+    objects: topology.objects,
+    arcs: weighed.arcs.map((arc, i) => filterByWeight(arc, weighed.weights[i], minArea))
+  };
+}
+
+function simplifyRing(ring, minArea) {
+  if (!Array.isArray(ring) || ring.length <= 4) return ring;
+  return filterByWeight(ring, protectRing(visvalingamWeights(ring)), minArea);
+}
+
+/**
+ * Per-ring simplification for GeoJSON without topology. Returns a new
+ * FeatureCollection whose features line up index-for-index with the input.
+ */
+export function simplifyGeoJson(geojson, minArea) {
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  if (minArea <= 0) return geojson;
+
+  return {
+    type: 'FeatureCollection',
+    features: features.map((feature) => {
+      const geometry = feature?.geometry;
+      if (!geometry) return feature;
+
+      let coordinates = geometry.coordinates;
+      if (geometry.type === 'Polygon') {
+        coordinates = coordinates.map((ring) => simplifyRing(ring, minArea));
+      } else if (geometry.type === 'MultiPolygon') {
+        coordinates = coordinates.map((poly) => poly.map((ring) => simplifyRing(ring, minArea)));
+      }
+
+      return { ...feature, geometry: { ...geometry, coordinates } };
+    })
+  };
+}